@@ -0,0 +1,56 @@
+import { createConfig, validateConfig } from './src/config.js';
+import { createHttpClient } from './src/http-client.js';
+import { PeppolApiService } from './src/api-service.js';
+import { InvoiceReportGenerator } from './src/report-generator.js';
+
+// Programmatische API: één client per configuratie, zodat meerdere omgevingen naast elkaar kunnen draaien.
+// De config wordt samengevoegd met de standaardwaarden en de omgeving (BASE_URL, CLIENT_ID, ...);
+// .env wordt hier bewust niet geladen, dat is aan de aanroeper.
+function createClient(config = {}, options = {}) {
+  const resolvedConfig = createConfig(config);
+  validateConfig(resolvedConfig);
+
+  const api = new PeppolApiService(options.httpClient || createHttpClient(resolvedConfig), resolvedConfig);
+  const createGenerator = (runOptions = {}) =>
+    new InvoiceReportGenerator(api, { store: options.store || null, ...runOptions });
+
+  return {
+    config: resolvedConfig,
+    api,
+
+    // Alleen ophalen, matchen en analyseren: er wordt niets verstuurd of opgeslagen
+    async analyze(runOptions) {
+      const generator = createGenerator(runOptions);
+      const matches = await generator.fetchAndMatchDocuments();
+      return generator.analyzeAllDocuments(matches);
+    },
+
+    // Acknowledged en final statussen versturen; geeft de run samenvatting terug
+    process(runOptions) {
+      return createGenerator(runOptions).generateReport();
+    },
+
+    // Huidige status rapporteren zonder te versturen
+    report(runOptions) {
+      return createGenerator(runOptions).generateStatusReport();
+    },
+  };
+}
+
+export { createClient };
+export { createConfig, validateConfig } from './src/config.js';
+export { Logger } from './src/logger.js';
+export { createHttpClient, usesPlainHttp, skipsClientCertificate } from './src/http-client.js';
+export { PeppolApiService } from './src/api-service.js';
+export { UBL_NAMESPACES, XmlParser } from './src/xml-parser.js';
+export { StatusResolver, StatusStateMachine, BusinessStatusManager } from './src/business-status.js';
+export { DecisionEngine, DecisionStrategies, RuleOperators } from './src/decision-engine.js';
+export { StatusStore } from './src/status-store.js';
+export { ReportFileWriter } from './src/report-writer.js';
+export { ReportFormatters, parseReportFormats } from './src/report-formatters.js';
+export { ReportDiff } from './src/report-diff.js';
+export { InvoiceReportGenerator } from './src/report-generator.js';
+export { TestInvoiceSender } from './src/test-invoice-sender.js';
+export { WebhookServer } from './src/webhook-server.js';
+export { loadTenants } from './src/tenants.js';
+export { loadScenario, ScenarioRunner } from './src/scenario-runner.js';
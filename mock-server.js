@@ -0,0 +1,444 @@
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MOCK_DEFAULTS = Object.freeze({
+  port: 4010,
+  outboundSupplierId: 'ef111c85-4315-4cde-bed9-efd29f25e19c',
+  inboundSupplierId: '330a0188-1cda-4596-9715-23ddb4c33771',
+  documents: 3,
+  firstInvoiceNumber: 430100,
+  latencyMs: 0,
+  failureRate: 0,
+  arrivalDelayMs: 2000,
+  propagationDelayMs: 1000,
+  tokenExpiresIn: 3600,
+  defaultPageSize: 100,
+  templateFile: path.join(__dirname, 'templates', 'invoice.xml'),
+  finalStatuses: ['accepted', 'rejected', 'paid'],
+  statusCodes: ['acknowledged', 'in-process', 'under-query', 'conditionally-accepted', 'accepted', 'rejected', 'paid'],
+});
+
+const MOCK_USAGE = `Gebruik: node mock-server.js [opties]
+
+Opties:
+  --port <n>                 Poort (standaard: ${MOCK_DEFAULTS.port})
+  --documents <n>            Aantal gematchte test facturen bij de start (standaard: ${MOCK_DEFAULTS.documents})
+  --latency <ms>             Vertraging per request, of een bereik "min-max" (standaard: ${MOCK_DEFAULTS.latencyMs})
+  --failure-rate <0..1>      Kans op een 503 per request, token endpoint uitgezonderd (standaard: ${MOCK_DEFAULTS.failureRate})
+  --arrival-delay <ms>       Tijd tot een verstuurde factuur inbound binnenkomt (standaard: ${MOCK_DEFAULTS.arrivalDelayMs})
+  --propagation-delay <ms>   Tijd tot een business status op outbound zichtbaar is (standaard: ${MOCK_DEFAULTS.propagationDelayMs})
+  --token-expires-in <s>     Geldigheid van een access token in seconden (standaard: ${MOCK_DEFAULTS.tokenExpiresIn})
+  -h, --help                 Deze hulp tonen
+
+Richt state.js op de mock met:
+  MOCK=1 BASE_URL=http://localhost:<port> TOKEN_URL=http://localhost:<port>/token`;
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+function renderInvoice(template, invoiceNumber) {
+  const values = {
+    invoiceNumber,
+    issueDate: new Date().toISOString().slice(0, 10),
+    dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    note: `Test ${invoiceNumber}`,
+    buyerReference: `TEST-${invoiceNumber}`,
+    currency: 'EUR',
+    vatPercent: 21,
+    lineAmount: '100.00',
+    taxAmount: '21.00',
+    payableAmount: '121.00',
+    sellerScheme: '0106',
+    sellerEndpoint: '12345678',
+    sellerName: 'ABC Test Peppol B.V.',
+    sellerVatNumber: 'NL000000000B01',
+    buyerScheme: '0106',
+    buyerEndpoint: '87654321',
+    buyerName: 'XYZ Test Peppol B.V.',
+  };
+
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => String(values[key] ?? placeholder));
+}
+
+// ============================================================================
+// MOCK STATE
+// ============================================================================
+
+class MockPeppolState {
+  constructor(settings) {
+    this.settings = settings;
+    this.outbound = new Map();
+    this.inbound = new Map();
+    this.xml = new Map();
+    this.statuses = new Map();
+    this.tokens = new Map();
+    this.requests = [];
+    this.timers = new Set();
+  }
+
+  nextId(prefix) {
+    return `${prefix}-${crypto.randomUUID()}`;
+  }
+
+  later(delayMs, callback) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delayMs);
+    this.timers.add(timer);
+  }
+
+  touch(doc) {
+    doc.attributes.updatedAt = new Date().toISOString();
+  }
+
+  createOutbound(xml, supplierId = this.settings.outboundSupplierId) {
+    const now = new Date().toISOString();
+    const doc = {
+      id: this.nextId('out'),
+      type: 'peppolDocument',
+      attributes: {
+        createdAt: now,
+        updatedAt: now,
+        transmissionId: null,
+        technicalStatus: 'pending',
+        businessStatus: null,
+      },
+      relationships: { supplier: { data: { type: 'supplier', id: supplierId } } },
+    };
+    this.outbound.set(doc.id, doc);
+    this.xml.set(doc.id, xml);
+    return doc;
+  }
+
+  // Simuleert het Peppol netwerk: transmissionId toekennen en het document bij de ontvanger afleveren
+  deliver(outboundDoc) {
+    const transmissionId = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    outboundDoc.attributes.transmissionId = transmissionId;
+    outboundDoc.attributes.technicalStatus = 'accepted';
+    this.touch(outboundDoc);
+
+    const inboundDoc = {
+      id: this.nextId('in'),
+      type: 'peppolInboundDocument',
+      attributes: { createdAt: now, updatedAt: now, transmissionId },
+      relationships: { supplier: { data: { type: 'supplier', id: this.settings.inboundSupplierId } } },
+    };
+    this.inbound.set(inboundDoc.id, inboundDoc);
+    this.xml.set(inboundDoc.id, this.xml.get(outboundDoc.id));
+    this.statuses.set(inboundDoc.id, []);
+    return inboundDoc;
+  }
+
+  findOutboundFor(inboundDoc) {
+    const { transmissionId } = inboundDoc.attributes;
+    return [...this.outbound.values()].find((doc) => doc.attributes.transmissionId === transmissionId) || null;
+  }
+
+  addStatus(inboundId, code) {
+    const list = this.statuses.get(inboundId);
+    const final = list.find((status) => this.settings.finalStatuses.includes(status.attributes.code));
+
+    // Zelfde gedrag als de echte API: een final status kan niet meer gewijzigd worden
+    if (final && !(final.attributes.code === 'accepted' && code === 'paid')) {
+      return { error: `Cannot transition from ${final.attributes.code} to ${code}` };
+    }
+
+    const status = {
+      id: this.nextId('status'),
+      type: 'peppolInboundDocumentBusinessStatus',
+      attributes: { code, technicalStatus: 'accepted', createdAt: new Date().toISOString() },
+    };
+    list.push(status);
+
+    const inboundDoc = this.inbound.get(inboundId);
+    this.touch(inboundDoc);
+    const outboundDoc = this.findOutboundFor(inboundDoc);
+    if (outboundDoc) {
+      this.later(this.settings.propagationDelayMs, () => {
+        outboundDoc.attributes.businessStatus = code;
+        this.touch(outboundDoc);
+      });
+    }
+
+    return { status };
+  }
+
+  seed(count) {
+    const template = fs.readFileSync(this.settings.templateFile, 'utf8');
+    for (let i = 0; i < count; i++) {
+      const xml = renderInvoice(template, String(this.settings.firstInvoiceNumber + i));
+      this.deliver(this.createOutbound(xml));
+    }
+  }
+
+  clearTimers() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+// ============================================================================
+// HTTP HANDLING
+// ============================================================================
+
+const JSON_API = 'application/vnd.api+json';
+
+function respond(res, statusCode, body, contentType = JSON_API, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': contentType, ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function respondError(res, statusCode, detail, headers = {}) {
+  respond(res, statusCode, { errors: [{ status: String(statusCode), detail }] }, JSON_API, headers);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function resolveLatency(latency) {
+  if (Array.isArray(latency)) {
+    const [min, max] = latency;
+    return min + Math.random() * (max - min);
+  }
+  return latency;
+}
+
+function paginate(url, docs, settings) {
+  const size = Number(url.searchParams.get('page[size]')) || settings.defaultPageSize;
+  const number = Number(url.searchParams.get('page[number]')) || 1;
+  const page = docs.slice((number - 1) * size, number * size);
+  const links = { self: url.pathname + url.search };
+
+  if (number * size < docs.length) {
+    const next = new URL(url);
+    next.searchParams.set('page[number]', String(number + 1));
+    next.searchParams.set('page[size]', String(size));
+    links.next = next.pathname + next.search;
+  }
+
+  return { data: page, links, meta: { total: docs.length } };
+}
+
+function filterDocuments(docs, url) {
+  const supplierId = url.searchParams.get('supplierId');
+  const from = url.searchParams.get('fromStatusChanged');
+
+  return [...docs]
+    .filter((doc) => !supplierId || doc.relationships.supplier.data.id === supplierId)
+    .filter((doc) => !from || new Date(doc.attributes.updatedAt) >= new Date(from))
+    .sort((a, b) => new Date(a.attributes.createdAt) - new Date(b.attributes.createdAt));
+}
+
+async function handleRequest(state, req, res) {
+  const { settings } = state;
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const body = await readBody(req);
+  state.requests.push({ method: req.method, path: url.pathname, query: url.search, body });
+
+  const latency = resolveLatency(settings.latencyMs);
+  if (latency > 0) {
+    await new Promise((resolve) => setTimeout(resolve, latency));
+  }
+
+  if (url.pathname === '/token' && req.method === 'POST') {
+    if (!req.headers.authorization?.startsWith('Basic ')) {
+      return respond(res, 401, { error: 'invalid_client' }, 'application/json');
+    }
+    const token = crypto.randomBytes(16).toString('hex');
+    state.tokens.set(token, Date.now() + settings.tokenExpiresIn * 1000);
+    return respond(
+      res,
+      200,
+      { access_token: token, token_type: 'Bearer', expires_in: settings.tokenExpiresIn },
+      'application/json'
+    );
+  }
+
+  const token = req.headers.authorization?.replace(/^Bearer /, '');
+  // Verlopen tokens weigeren zoals de echte API, zodat verversen en de 401-replay te testen zijn
+  if (!token || !(state.tokens.get(token) > Date.now())) {
+    return respondError(res, 401, 'Invalid or expired access token');
+  }
+
+  if (state.failNext > 0) {
+    state.failNext--;
+    return state.failStatus === 401
+      ? respondError(res, 401, 'Invalid or expired access token')
+      : respondError(res, state.failStatus, 'Service temporarily unavailable (mock)', state.failHeaders);
+  }
+  if (Math.random() < settings.failureRate) {
+    return respondError(res, 503, 'Service temporarily unavailable (mock)');
+  }
+
+  let match;
+
+  if (url.pathname === '/peppol/documents') {
+    if (req.method === 'POST') {
+      if (!body.includes('<Invoice') && !body.includes('<CreditNote')) {
+        return respondError(res, 422, 'Request body is not a UBL Invoice or CreditNote');
+      }
+      const doc = state.createOutbound(body, url.searchParams.get('supplierId') || settings.outboundSupplierId);
+      state.later(settings.arrivalDelayMs, () => state.deliver(doc));
+      return respond(res, 201, { data: doc });
+    }
+    return respond(res, 200, paginate(url, filterDocuments(state.outbound.values(), url), settings));
+  }
+
+  if ((match = url.pathname.match(/^\/peppol\/documents\/([^/]+)$/))) {
+    const doc = state.outbound.get(match[1]);
+    return doc ? respond(res, 200, { data: doc }) : respondError(res, 404, `Document ${match[1]} not found`);
+  }
+
+  if (url.pathname === '/peppol/inbound-documents') {
+    return respond(res, 200, paginate(url, filterDocuments(state.inbound.values(), url), settings));
+  }
+
+  if ((match = url.pathname.match(/^\/peppol\/inbound-documents\/([^/]+)$/))) {
+    const doc = state.inbound.get(match[1]);
+    if (!doc) return respondError(res, 404, `Inbound document ${match[1]} not found`);
+    return req.headers.accept?.includes('xml')
+      ? respond(res, 200, state.xml.get(doc.id), 'application/xml')
+      : respond(res, 200, { data: doc });
+  }
+
+  if ((match = url.pathname.match(/^\/peppol\/inbound-documents\/([^/]+)\/business-statuses$/))) {
+    const documentId = match[1];
+    if (!state.inbound.has(documentId)) {
+      return respondError(res, 404, `Inbound document ${documentId} not found`);
+    }
+
+    if (req.method === 'POST') {
+      let code;
+      try {
+        code = JSON.parse(body).data.attributes.code;
+      } catch {
+        return respondError(res, 400, 'Invalid JSON:API payload');
+      }
+      if (!settings.statusCodes.includes(code)) {
+        return respondError(res, 422, `Unknown business status code "${code}"`);
+      }
+
+      const { status, error } = state.addStatus(documentId, code);
+      return error ? respondError(res, 403, error) : respond(res, 201, { data: status });
+    }
+
+    return respond(res, 200, paginate(url, state.statuses.get(documentId), settings));
+  }
+
+  return respondError(res, 404, `No route for ${req.method} ${url.pathname}`);
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+function createMockServer(options = {}) {
+  const settings = { ...MOCK_DEFAULTS, ...options };
+  const state = new MockPeppolState(settings);
+  state.failNext = 0;
+  state.failStatus = 503;
+  state.failHeaders = {};
+  state.seed(settings.documents);
+
+  const server = http.createServer((req, res) => {
+    handleRequest(state, req, res).catch((error) => respondError(res, 500, error.message));
+  });
+
+  return {
+    state,
+    server,
+    // Forceert een fout (standaard 503) voor de volgende n requests, handig om retries en de 401-replay te testen
+    failNext(count = 1, { status = 503, retryAfter = null } = {}) {
+      state.failNext = count;
+      state.failStatus = status;
+      state.failHeaders = retryAfter === null ? {} : { 'Retry-After': String(retryAfter) };
+    },
+    // Alle uitgegeven tokens ongeldig maken, alsof de server ze ingetrokken heeft
+    revokeTokens() {
+      state.tokens.clear();
+    },
+    listen(port = settings.port) {
+      return new Promise((resolve) => {
+        server.listen(port, () => resolve(`http://localhost:${server.address().port}`));
+      });
+    },
+    close() {
+      state.clearTimers();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+function parseLatency(value) {
+  if (value === undefined) return MOCK_DEFAULTS.latencyMs;
+  const [min, max] = value.split('-').map(Number);
+  return max === undefined ? min : [min, max];
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: 'string' },
+      documents: { type: 'string' },
+      latency: { type: 'string' },
+      'failure-rate': { type: 'string' },
+      'arrival-delay': { type: 'string' },
+      'propagation-delay': { type: 'string' },
+      'token-expires-in': { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) {
+    console.log(MOCK_USAGE);
+    return;
+  }
+
+  const numberOption = (name, fallback) => (values[name] !== undefined ? Number(values[name]) : fallback);
+  const mock = createMockServer({
+    documents: numberOption('documents', MOCK_DEFAULTS.documents),
+    latencyMs: parseLatency(values.latency),
+    failureRate: numberOption('failure-rate', MOCK_DEFAULTS.failureRate),
+    arrivalDelayMs: numberOption('arrival-delay', MOCK_DEFAULTS.arrivalDelayMs),
+    propagationDelayMs: numberOption('propagation-delay', MOCK_DEFAULTS.propagationDelayMs),
+    tokenExpiresIn: numberOption('token-expires-in', MOCK_DEFAULTS.tokenExpiresIn),
+  });
+
+  const baseUrl = await mock.listen(numberOption('port', MOCK_DEFAULTS.port));
+  console.log(`🧪 Mock Peppol API luistert op ${baseUrl}`);
+  console.log(`   MOCK=1 BASE_URL=${baseUrl} TOKEN_URL=${baseUrl}/token`);
+  console.log(`   Outbound supplier: ${MOCK_DEFAULTS.outboundSupplierId}`);
+  console.log(`   Inbound supplier : ${MOCK_DEFAULTS.inboundSupplierId}`);
+
+  const stop = () => mock.close().then(() => process.exit(0));
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
+
+export { createMockServer, MockPeppolState, MOCK_DEFAULTS };
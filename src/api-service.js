@@ -0,0 +1,307 @@
+import { Logger } from './logger.js';
+import { sleep } from './utils.js';
+
+class PeppolApiService {
+  constructor(httpClient, config) {
+    this.client = httpClient;
+    this.config = config;
+    this.token = null;
+    this.tokenExpiresAt = null;
+    this.authPromise = null;
+  }
+
+  async authenticate() {
+    // Gelijktijdige requests delen dezelfde token-aanvraag
+    if (!this.authPromise) {
+      this.authPromise = this.requestToken().finally(() => {
+        this.authPromise = null;
+      });
+    }
+    return this.authPromise;
+  }
+
+  async requestToken() {
+    const { clientId, clientSecret } = this.config.auth;
+    const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+
+    const response = await this.client.post(
+      this.config.api.tokenUrl,
+      new URLSearchParams({ grant_type: 'client_credentials' }),
+      {
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+      }
+    );
+
+    const { access_token: token, expires_in: expiresIn } = response.data;
+    this.token = token;
+    this.tokenExpiresAt = expiresIn ? Date.now() + expiresIn * 1000 : null;
+    return this.token;
+  }
+
+  isTokenExpiring() {
+    if (!this.token) return true;
+    if (!this.tokenExpiresAt) return false;
+    return Date.now() >= this.tokenExpiresAt - this.config.settings.tokenRefreshMargin;
+  }
+
+  async ensureToken() {
+    if (this.isTokenExpiring()) {
+      await this.authenticate();
+    }
+  }
+
+  async request(config) {
+    if (config.method === 'get') {
+      return this.withRetry(() => this.send(config), `GET ${config.url}`);
+    }
+    return this.send(config);
+  }
+
+  async send(config, allowReauth = true) {
+    await this.ensureToken();
+
+    try {
+      return await this.client.request({
+        ...config,
+        headers: { ...config.headers, Authorization: `Bearer ${this.token}` },
+      });
+    } catch (error) {
+      // Een 401 wordt niet verwerkt door de API, dus eenmalig herhalen is ook voor POST veilig
+      if (error.response?.status === 401 && allowReauth) {
+        await this.authenticate();
+        return this.send(config, false);
+      }
+      throw error;
+    }
+  }
+
+  isRetryable(error) {
+    const { retryableStatuses, retryableErrorCodes } = this.config.retry;
+    if (error.response) {
+      return retryableStatuses.includes(error.response.status);
+    }
+    return retryableErrorCodes.includes(error.code);
+  }
+
+  getRetryDelay(error, attempt) {
+    const { baseDelay, maxDelay, jitter } = this.config.retry;
+    const retryAfter = error.response?.headers?.['retry-after'];
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? new Date(retryAfter) - Date.now() : seconds * 1000;
+      if (!Number.isNaN(delay)) {
+        return Math.min(Math.max(delay, 0), maxDelay);
+      }
+    }
+
+    const backoff = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+    return Math.round(backoff * (1 - jitter + Math.random() * jitter * 2));
+  }
+
+  async withRetry(operation, label) {
+    const { maxAttempts } = this.config.retry;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        if (attempt >= maxAttempts || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        const reason = error.response?.status || error.code || error.message;
+        Logger.warning(
+          `${label} mislukt (${reason}), poging ${attempt + 1}/${maxAttempts} over ${delay / 1000}s...`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  get authHeaders() {
+    return {
+      Authorization: `Bearer ${this.token}`,
+      Accept: 'application/vnd.api+json',
+    };
+  }
+
+  get jsonApiHeaders() {
+    return {
+      ...this.authHeaders,
+      'Content-Type': 'application/vnd.api+json',
+    };
+  }
+
+  resolvePageLink(link) {
+    const href = typeof link === 'string' ? link : link?.href;
+    return href ? new URL(href, this.config.api.baseUrl).toString() : null;
+  }
+
+  async *paginate(url, params = {}, maxItems = this.config.settings.maxItems) {
+    const visited = new Set();
+    let nextUrl = url;
+    let nextParams = params;
+    let count = 0;
+
+    while (nextUrl) {
+      const response = await this.request({
+        method: 'get',
+        url: nextUrl,
+        headers: this.authHeaders,
+        params: nextParams,
+      });
+
+      for (const item of response.data?.data || []) {
+        if (count >= maxItems) {
+          Logger.warning(`Maximum van ${maxItems} items bereikt voor ${url}, rest overgeslagen.`);
+          return;
+        }
+        count++;
+        yield item;
+      }
+
+      // links.next bevat de volledige query (incl. cursor), dus params niet opnieuw meesturen
+      visited.add(nextUrl + JSON.stringify(nextParams));
+      nextUrl = this.resolvePageLink(response.data?.links?.next);
+      nextParams = undefined;
+
+      if (nextUrl && visited.has(nextUrl + JSON.stringify(nextParams))) {
+        Logger.warning(`Paginering herhaalt zichzelf voor ${url}, gestopt.`);
+        return;
+      }
+    }
+  }
+
+  async collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  iterateOutboundDocuments(supplierId, fromDate, maxItems) {
+    const url = `${this.config.api.baseUrl}/peppol/documents`;
+    const params = {
+      supplierId,
+      fromStatusChanged: fromDate.toISOString(),
+      'page[size]': this.config.settings.pageSize,
+    };
+
+    return this.paginate(url, params, maxItems);
+  }
+
+  iterateInboundDocuments(supplierId, fromDate = null, maxItems) {
+    const url = `${this.config.api.baseUrl}/peppol/inbound-documents`;
+    const params = {
+      supplierId,
+      ...(fromDate && { fromStatusChanged: fromDate.toISOString() }),
+      'page[size]': this.config.settings.pageSize,
+    };
+
+    return this.paginate(url, params, maxItems);
+  }
+
+  iterateInboundBusinessStatuses(documentId, maxItems) {
+    const url = `${this.config.api.baseUrl}/peppol/inbound-documents/${documentId}/business-statuses`;
+    return this.paginate(url, {}, maxItems);
+  }
+
+  async fetchOutboundDocuments(supplierId, fromDate, maxItems) {
+    return this.collect(this.iterateOutboundDocuments(supplierId, fromDate, maxItems));
+  }
+
+  async fetchInboundDocuments(supplierId, fromDate = null, maxItems) {
+    return this.collect(this.iterateInboundDocuments(supplierId, fromDate, maxItems));
+  }
+
+  async fetchOutboundDocument(documentId) {
+    const url = `${this.config.api.baseUrl}/peppol/documents/${documentId}`;
+
+    const response = await this.request({
+      method: 'get',
+      url,
+      headers: this.authHeaders,
+    });
+
+    return response.data.data;
+  }
+
+  async fetchDocumentXml(documentId) {
+    const url = `${this.config.api.baseUrl}/peppol/inbound-documents/${documentId}`;
+
+    const response = await this.request({
+      method: 'get',
+      url,
+      headers: { ...this.authHeaders, Accept: 'application/xml' },
+      responseType: 'text',
+    });
+
+    return response.data;
+  }
+
+  async fetchInboundBusinessStatuses(documentId, maxItems) {
+    return this.collect(this.iterateInboundBusinessStatuses(documentId, maxItems));
+  }
+
+  async sendOutboundDocument(supplierId, xml) {
+    const url = `${this.config.api.baseUrl}/peppol/documents`;
+
+    // Bewust zonder withRetry: een herhaalde POST kan een tweede factuur versturen
+    const response = await this.send({
+      method: 'post',
+      url,
+      params: { supplierId },
+      data: xml,
+      headers: { ...this.authHeaders, 'Content-Type': 'application/xml' },
+    });
+
+    return response.data.data;
+  }
+
+  async sendBusinessStatus(documentId, statusCode, knownStatuses = null) {
+    const url = `${this.config.api.baseUrl}/peppol/inbound-documents/${documentId}/business-statuses`;
+
+    const payload = {
+      data: {
+        type: 'peppolInboundDocumentBusinessStatus',
+        attributes: {
+          code: statusCode,
+        },
+      },
+    };
+
+    // Momentopname vóór de eerste POST: een code kan terugkomen (in-process na under-query),
+    // dus alleen een status die daarna is verschenen kan van een mislukte poging zijn
+    const previous = knownStatuses || (await this.fetchInboundBusinessStatuses(documentId));
+    const previousIds = new Set(previous.map((s) => s.id));
+
+    return this.withRetry(async (attempt) => {
+      // Een mislukte POST kan toch verwerkt zijn: eerst controleren om dubbele statussen te voorkomen
+      if (attempt > 1) {
+        const statuses = await this.fetchInboundBusinessStatuses(documentId);
+        const existing = statuses.find((s) => s.attributes.code === statusCode && !previousIds.has(s.id));
+        if (existing) {
+          Logger.info(`Status ${statusCode} voor ${documentId} is al verwerkt, niet opnieuw verstuurd.`);
+          return existing;
+        }
+      }
+
+      const response = await this.send({
+        method: 'post',
+        url,
+        data: payload,
+        headers: this.jsonApiHeaders,
+      });
+
+      return response.data.data;
+    }, `POST ${statusCode} voor ${documentId}`);
+  }
+}
+
+export { PeppolApiService };
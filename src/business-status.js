@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import { randomChoice } from './utils.js';
+
+const StatusResolver = {
+  getLatestStatus(statuses) {
+    if (!statuses.length) {
+      return { code: '-', technicalStatus: '-' };
+    }
+
+    const sorted = [...statuses].sort(
+      (a, b) => new Date(b.attributes.createdAt) - new Date(a.attributes.createdAt)
+    );
+
+    const latest = sorted[0].attributes;
+    return {
+      code: latest.code || '-',
+      technicalStatus: latest.technicalStatus || '-',
+    };
+  },
+
+  hasStatus(statuses, statusCode) {
+    return statuses.some((s) => s.attributes.code === statusCode);
+  },
+
+  hasAnyStatus(statuses, statusCodes) {
+    return statuses.some((s) => statusCodes.includes(s.attributes.code));
+  },
+
+  getExistingStatusCodes(statuses) {
+    return statuses.map((s) => s.attributes.code);
+  },
+};
+
+// ============================================================================
+// STATUS STATE MACHINE
+// ============================================================================
+
+class StatusStateMachine {
+  static INITIAL = 'initial';
+
+  constructor(transitions) {
+    const states = Object.keys(transitions);
+    for (const [from, targets] of Object.entries(transitions)) {
+      const unknown = targets.filter((code) => !states.includes(code));
+      if (unknown.length) {
+        throw new Error(`Overgang van "${from}" naar onbekende status(sen): ${unknown.join(', ')}`);
+      }
+    }
+    if (!transitions[StatusStateMachine.INITIAL]) {
+      throw new Error(`Status machine mist de begintoestand "${StatusStateMachine.INITIAL}"`);
+    }
+
+    this.transitions = transitions;
+  }
+
+  static fromConfig({ transitionsFile, transitions }) {
+    if (!transitionsFile) {
+      return new StatusStateMachine(transitions);
+    }
+
+    const filePath = path.resolve(transitionsFile);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Status overgangen niet gevonden: ${filePath}`);
+    }
+
+    const { transitions: fileTransitions } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!fileTransitions || typeof fileTransitions !== 'object') {
+      throw new Error(`Geen "transitions" gedefinieerd in ${filePath}`);
+    }
+    return new StatusStateMachine(fileTransitions);
+  }
+
+  get codes() {
+    return Object.keys(this.transitions).filter((state) => state !== StatusStateMachine.INITIAL);
+  }
+
+  currentState(statuses) {
+    const { code } = StatusResolver.getLatestStatus(statuses);
+    return code === '-' ? StatusStateMachine.INITIAL : code;
+  }
+
+  allowedFrom(state) {
+    return this.transitions[state] || [];
+  }
+
+  canTransition(from, to) {
+    return this.allowedFrom(from).includes(to);
+  }
+
+  check(statuses, code) {
+    if (!this.transitions[code] || code === StatusStateMachine.INITIAL) {
+      return { allowed: false, reason: `Onbekende status "${code}". Toegestaan: ${this.codes.join(', ')}` };
+    }
+
+    const from = this.currentState(statuses);
+    if (this.canTransition(from, code)) {
+      return { allowed: true, from };
+    }
+
+    const allowed = this.allowedFrom(from);
+    const label = from === StatusStateMachine.INITIAL ? 'geen business status' : `"${from}"`;
+    return {
+      allowed: false,
+      from,
+      reason:
+        `Overgang van ${label} naar "${code}" is niet toegestaan ` +
+        `(${allowed.length ? `toegestaan: ${allowed.join(', ')}` : 'eindstatus'}).`,
+    };
+  }
+}
+
+// ============================================================================
+// BUSINESS STATUS MANAGER
+// ============================================================================
+
+class BusinessStatusManager {
+  constructor(
+    apiService,
+    decisionEngine = null,
+    stateMachine = StatusStateMachine.fromConfig(apiService.config.businessStatus)
+  ) {
+    this.api = apiService;
+    this.businessStatus = apiService.config.businessStatus;
+    this.decisionEngine = decisionEngine;
+    this.stateMachine = stateMachine;
+  }
+
+  async analyzeDocument(documentId, knownStatuses = null) {
+    const statuses = knownStatuses || (await this.api.fetchInboundBusinessStatuses(documentId));
+    const { codes, finalStatuses } = this.businessStatus;
+
+    const hasAcknowledged = StatusResolver.hasStatus(statuses, codes.ACKNOWLEDGED);
+    const hasFinalStatus = StatusResolver.hasAnyStatus(statuses, finalStatuses);
+    const existingCodes = StatusResolver.getExistingStatusCodes(statuses);
+    const currentState = this.stateMachine.currentState(statuses);
+
+    const needsAcknowledge =
+      !hasAcknowledged && !hasFinalStatus && this.stateMachine.canTransition(currentState, codes.ACKNOWLEDGED);
+    const canDecide = finalStatuses.some((code) => this.stateMachine.canTransition(currentState, code));
+    // Vanuit "initial" alleen direct beslissen als acknowledged daar niet is toegestaan
+    const needsFinalStatus = !needsAcknowledge && !hasFinalStatus && canDecide;
+
+    let reason = 'nog geen business status';
+    if (hasFinalStatus) {
+      reason = 'final status al aanwezig';
+    } else if (!needsAcknowledge && !canDecide) {
+      reason = `status "${currentState}" laat geen ${finalStatuses.join('/')} toe`;
+    } else if (hasAcknowledged) {
+      reason = 'acknowledged aanwezig, final status ontbreekt';
+    } else if (currentState !== StatusStateMachine.INITIAL) {
+      reason = `status "${currentState}" aanwezig, final status ontbreekt`;
+    }
+
+    return {
+      statuses,
+      hasAcknowledged,
+      hasFinalStatus,
+      existingCodes,
+      currentState,
+      reason,
+      needsAcknowledge,
+      needsFinalStatus,
+      isComplete: hasFinalStatus,
+    };
+  }
+
+  async sendStatus(documentId, statusCode, knownStatuses = null) {
+    try {
+      // Ongeldige overgangen lokaal weigeren in plaats van een 403 van de API af te wachten
+      const statuses = knownStatuses || (await this.api.fetchInboundBusinessStatuses(documentId));
+      const transition = this.stateMachine.check(statuses, statusCode);
+      if (!transition.allowed) {
+        return { success: false, refused: true, statusCode, error: transition.reason };
+      }
+
+      const response = await this.api.sendBusinessStatus(documentId, statusCode, statuses);
+      return {
+        success: true,
+        statusCode,
+        statusId: response.id,
+        technicalStatus: response.attributes.technicalStatus,
+        createdAt: response.attributes.createdAt || new Date().toISOString(),
+      };
+    } catch (error) {
+      const errorMessage = error.response?.data?.errors?.[0]?.detail || error.message;
+      return {
+        success: false,
+        statusCode,
+        error: errorMessage,
+      };
+    }
+  }
+
+  getRandomFinalStatus() {
+    const { ACCEPTED, REJECTED } = this.businessStatus.codes;
+    return randomChoice([ACCEPTED, REJECTED]);
+  }
+
+  decideFinalStatus(context) {
+    if (!this.decisionEngine) {
+      return { code: this.getRandomFinalStatus(), rule: 'random' };
+    }
+    return this.decisionEngine.decide(context);
+  }
+}
+
+export { StatusResolver, StatusStateMachine, BusinessStatusManager };
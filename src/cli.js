@@ -0,0 +1,597 @@
+import path from 'path';
+import { parseArgs } from 'util';
+import { createConfig, validateConfig } from './config.js';
+import { Logger } from './logger.js';
+import { sleep, daysAgo, formatDuration } from './utils.js';
+import { createHttpClient } from './http-client.js';
+import { PeppolApiService } from './api-service.js';
+import { XmlParser } from './xml-parser.js';
+import { StatusResolver, BusinessStatusManager } from './business-status.js';
+import { StatusStore } from './status-store.js';
+import { ReportFileWriter } from './report-writer.js';
+import { formatDocumentHeader, parseReportFormats } from './report-formatters.js';
+import { REPORT_DIFF_FIELDS, ReportDiff } from './report-diff.js';
+import { InvoiceReportGenerator } from './report-generator.js';
+import { TestInvoiceSender } from './test-invoice-sender.js';
+import { WebhookServer } from './webhook-server.js';
+import { slugify, loadTenants, printTenantSummary } from './tenants.js';
+import { createSchedule, printHeartbeat } from './scheduling.js';
+import { loadScenario, ScenarioRunner } from './scenario-runner.js';
+
+const formatUsage = (config) => `Gebruik: node state.js [commando] [opties]
+
+Commando's:
+  process                          Analyseren en acknowledged + final statussen versturen (standaard)
+  report                           Huidige status tonen en rapport opslaan, zonder te versturen
+  send-status <documentId> <code>  Eén business status versturen voor een inbound document
+  show <documentId>                Factuurgegevens en business statussen van een inbound document tonen
+  list inbound|outbound            Documenten van de inbound of outbound supplier tonen
+  history <factuurnr|documentId>   Vastgelegde historie uit de lokale store tonen (offline)
+  send [aantal]                    Testfactu(u)r(en) uit de template versturen via de outbound supplier
+  scenario <bestand>               End-to-end scenario draaien: versturen → inbound → statussen → outbound controle
+  diff <oud> <nieuw>               Twee opgeslagen rapporten (.txt of .json) vergelijken (offline)
+  watch                            Process periodiek herhalen tot SIGINT/SIGTERM
+  webhook                          HTTP server starten die business status webhooks verwerkt
+
+Opties:
+  --outbound-supplier <id>         Outbound supplier ID (standaard: ${config.suppliers.outbound.id})
+  --inbound-supplier <id>          Inbound supplier ID (standaard: ${config.suppliers.inbound.id})
+  --lookback-days <n>              Aantal dagen terugkijken voor outbound documenten (standaard: ${config.settings.lookbackDays})
+  --output-dir <pad>               Map voor rapporten (standaard: ${config.settings.outputDir})
+  --format <formaten>              Rapportformaten, komma-gescheiden: text, json, csv, md, html (standaard: ${config.settings.reportFormats})
+  --config <pad>                   Tenant configuratie (JSON) om process/report per tenant te draaien
+  --strategy <random|rules>        Beslisstrategie voor accepted/rejected (standaard: ${config.decision.strategy})
+  --rules-file <pad>               Bestand met beslisregels (standaard: ${config.decision.rulesFile})
+  --full                           Cursor negeren en de volledige lookback periode ophalen
+  --store <pad>                    Lokale store (standaard: ${config.settings.storeFile})
+  --interval <seconden>            Interval voor watch (standaard: ${config.watch.intervalSeconds})
+  --cron <expressie>               Cron schema voor watch, bijv. "*/10 7-18 * * 1-5"
+  --amount <bedrag>                Bedrag excl. btw voor send (standaard: ${config.send.amount})
+  --template <pad>                 UBL template voor send (standaard: ${config.send.templateFile})
+  --port <n>                       Poort voor de webhook server (standaard: ${config.webhook.port})
+  --dry-run                        Alleen tonen wat er verstuurd zou worden (process, send-status, send)
+  --insecure                       Plain http BASE_URL zonder client certificaat toestaan, alleen voor de mock (ook: MOCK=1)
+  -h, --help                       Deze hulp tonen`;
+
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'outbound-supplier': { type: 'string' },
+      'inbound-supplier': { type: 'string' },
+      'lookback-days': { type: 'string' },
+      'output-dir': { type: 'string' },
+      format: { type: 'string' },
+      config: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      strategy: { type: 'string' },
+      'rules-file': { type: 'string' },
+      port: { type: 'string' },
+      amount: { type: 'string' },
+      template: { type: 'string' },
+      interval: { type: 'string' },
+      cron: { type: 'string' },
+      store: { type: 'string' },
+      full: { type: 'boolean' },
+      insecure: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const [command = 'process', ...args] = positionals;
+  return { command, args, options: values };
+}
+
+function resolveSupplier(id, fallback) {
+  if (!id || id === fallback.id) return fallback;
+  return { id, name: '-' };
+}
+
+function buildGeneratorOptions(options, config) {
+  const settings = {};
+
+  if (options['lookback-days'] !== undefined) {
+    const days = Number(options['lookback-days']);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error(`Ongeldige waarde voor --lookback-days: ${options['lookback-days']}`);
+    }
+    settings.lookbackDays = days;
+  }
+
+  if (options['output-dir']) {
+    settings.outputDir = options['output-dir'];
+  }
+
+  if (options.format) {
+    settings.reportFormats = parseReportFormats(options.format);
+  }
+
+  return {
+    suppliers: {
+      outbound: resolveSupplier(options['outbound-supplier'], config.suppliers.outbound),
+      inbound: resolveSupplier(options['inbound-supplier'], config.suppliers.inbound),
+    },
+    settings,
+    dryRun: Boolean(options['dry-run']),
+    fullSync: Boolean(options.full),
+    decision: {
+      ...(options.strategy && { strategy: options.strategy }),
+      ...(options['rules-file'] && { rulesFile: options['rules-file'] }),
+    },
+  };
+}
+
+function buildRunTargets(options, config) {
+  const cliOptions = buildGeneratorOptions(options, config);
+  const tenantsFile = options.config || config.settings.tenantsFile;
+
+  if (!tenantsFile) {
+    return [{ name: null, ...cliOptions }];
+  }
+
+  if (options['outbound-supplier'] || options['inbound-supplier']) {
+    throw new Error('--outbound-supplier en --inbound-supplier kunnen niet samen met --config gebruikt worden.');
+  }
+
+  // Ook met --output-dir krijgt elke tenant een eigen submap, anders overschrijven de rapporten elkaar
+  const { outputDir, ...cliSettings } = cliOptions.settings;
+  return loadTenants(tenantsFile, config.settings.outputDir).map((tenant) => ({
+    ...tenant,
+    settings: {
+      ...tenant.settings,
+      ...cliSettings,
+      ...(outputDir && { outputDir: path.join(outputDir, slugify(tenant.name)) }),
+    },
+    decision: { ...tenant.decision, ...cliOptions.decision },
+    dryRun: cliOptions.dryRun,
+    fullSync: cliOptions.fullSync,
+  }));
+}
+
+function openStore(options, config) {
+  return new StatusStore(path.resolve(options.store || config.settings.storeFile));
+}
+
+function describeStoreRecord(record) {
+  switch (record.type) {
+    case 'document':
+      return (
+        `${record.direction} document ${record.documentId} (transmissionId: ${record.transmissionId || '-'}, ` +
+        `technical: ${record.technicalStatus || '-'}, business: ${record.businessStatus || '-'})`
+      );
+    case 'invoice':
+      return `${record.documentType || 'Document'} ${record.invoiceNumber}: ${record.description} (${record.payableAmount ?? '-'} ${record.currency || ''})`.trim();
+    case 'match':
+      return `gematcht met outbound ${record.outboundId} via ${record.transmissionId}`;
+    case 'status':
+      return `status ${record.code} ${record.source === 'sent' ? 'verstuurd' : 'opgehaald'} (technical: ${record.technicalStatus || '-'})`;
+    case 'decision': {
+      const outcome = record.dryRun ? 'gepland (dry-run)' : record.success ? 'gelukt' : `mislukt: ${record.error}`;
+      return `beslissing ${record.phase}: ${record.code} ${outcome}${record.rule ? ` [regel: ${record.rule}]` : ''}`;
+    }
+    case 'sent':
+      return `testfactuur ${record.invoiceNumber} verstuurd via outbound supplier ${record.supplierId}`;
+    case 'verification':
+      return record.propagated
+        ? `outbound business status na ${record.phase} gepropageerd (${record.observed}, latency ${formatDuration(record.latencyMs)})`
+        : `outbound business status na ${record.phase} NIET gepropageerd (outbound: ${record.observed || '-'})`;
+    default:
+      return JSON.stringify(record);
+  }
+}
+
+async function runForTenants(api, options, run, context = {}) {
+  const targets = buildRunTargets(options, api.config);
+  const store = context.store || openStore(options, api.config);
+  const summaries = [];
+
+  for (const [index, target] of targets.entries()) {
+    if (context.signal?.aborted) break;
+
+    if (target.name) {
+      Logger.header(`TENANT: ${target.name}`);
+    }
+
+    // In watch mode blijft de writer per tenant bestaan om ongewijzigde rapporten over te slaan
+    let fileWriter;
+    if (context.fileWriters) {
+      const key = target.name || index;
+      if (!context.fileWriters.has(key)) {
+        context.fileWriters.set(
+          key,
+          new ReportFileWriter(target.settings.outputDir || api.config.settings.outputDir, { onlyIfChanged: true })
+        );
+      }
+      fileWriter = context.fileWriters.get(key);
+    }
+
+    try {
+      const generator = new InvoiceReportGenerator(api, {
+        ...target,
+        store,
+        fileWriter,
+        signal: context.signal,
+      });
+      summaries.push({ name: target.name, ...(await run(generator)) });
+    } catch (error) {
+      // Eén falende tenant mag de overige tenants niet blokkeren
+      Logger.error(`${target.name || 'Tenant'}: ${error.message}`);
+      summaries.push({ name: target.name, error: error.message });
+      process.exitCode = 1;
+    }
+  }
+
+  if (targets.length > 1) {
+    Logger.header('TOTAALOVERZICHT');
+    printTenantSummary(summaries);
+  }
+
+  return summaries;
+}
+
+function requireArgs(args, names, config) {
+  if (args.length < names.length) {
+    throw new Error(`Ontbrekende argumenten: ${names.slice(args.length).join(', ')}\n\n${formatUsage(config)}`);
+  }
+}
+
+const OFFLINE_COMMANDS = ['history', 'diff'];
+
+const COMMANDS = {
+  async process(api, args, options) {
+    await runForTenants(api, options, (generator) => generator.generateReport());
+  },
+
+  async report(api, args, options) {
+    await runForTenants(api, options, (generator) => generator.generateStatusReport());
+  },
+
+  async 'send-status'(api, args, options, config) {
+    requireArgs(args, ['documentId', 'code'], config);
+    const [documentId, statusCode] = args;
+    const statusManager = new BusinessStatusManager(api);
+    const { stateMachine } = statusManager;
+
+    if (!stateMachine.codes.includes(statusCode)) {
+      throw new Error(`Onbekende status "${statusCode}". Toegestaan: ${stateMachine.codes.join(', ')}`);
+    }
+
+    Logger.header(`${statusCode.toUpperCase()} STATUS VERSTUREN`);
+    Logger.info(`Document ID: ${documentId}`);
+
+    const statuses = await api.fetchInboundBusinessStatuses(documentId);
+    const latest = StatusResolver.getLatestStatus(statuses);
+    Logger.info(`Huidige status: ${latest.code}`);
+
+    const transition = stateMachine.check(statuses, statusCode);
+    if (!transition.allowed) {
+      throw new Error(`Kan ${statusCode} niet versturen: ${transition.reason}`);
+    }
+
+    if (options['dry-run']) {
+      Logger.warning(`DRY-RUN: ${statusCode} zou verstuurd worden voor ${documentId}.`);
+      return;
+    }
+
+    const result = await statusManager.sendStatus(documentId, statusCode, statuses);
+    if (!result.success) {
+      throw new Error(`Versturen mislukt: ${result.error}`);
+    }
+
+    Logger.success(`${statusCode} verstuurd (status ID: ${result.statusId}, technical: ${result.technicalStatus})`);
+  },
+
+  async send(api, args, options, config) {
+    const count = Number(args[0] ?? 1);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Ongeldig aantal: ${args[0]}`);
+    }
+
+    const amount = options.amount !== undefined ? Number(options.amount) : undefined;
+    if (amount !== undefined && !(amount > 0)) {
+      throw new Error(`Ongeldige waarde voor --amount: ${options.amount}`);
+    }
+
+    const { suppliers } = buildGeneratorOptions(options, config);
+    if (!suppliers.outbound) {
+      throw new Error('Geen outbound supplier geconfigureerd om mee te versturen.');
+    }
+
+    const store = openStore(options, config);
+    const sender = new TestInvoiceSender(api, {
+      store,
+      supplier: suppliers.outbound,
+      settings: options.template ? { templateFile: options.template } : {},
+    });
+
+    Logger.header(`TESTFACTUUR VERSTUREN (${count}x via ${suppliers.outbound.id})`);
+    let invoiceNumber = sender.nextInvoiceNumber();
+
+    for (let i = 0; i < count; i++) {
+      const result = await sender.send({ invoiceNumber, amount, dryRun: options['dry-run'] });
+      const { details } = result;
+
+      if (result.dryRun) {
+        Logger.warning(`DRY-RUN: factuur ${invoiceNumber} (${details.payableAmount} ${details.currency}) niet verstuurd.`);
+        if (count === 1) console.log(result.xml);
+      } else {
+        Logger.success(
+          `Factuur ${invoiceNumber} verstuurd: outbound document ${result.documentId} ` +
+            `(${details.payableAmount} ${details.currency}, "${details.description}")`
+        );
+      }
+
+      invoiceNumber = String(Number(invoiceNumber) + 1);
+    }
+
+    if (!options['dry-run']) {
+      Logger.info('De volgende process/report run matcht de facturen zodra ze inbound binnenkomen.');
+    }
+  },
+
+  async scenario(api, args, options, config) {
+    requireArgs(args, ['scenario bestand'], config);
+    const scenario = loadScenario(args[0], config.businessStatus);
+    const { suppliers } = buildGeneratorOptions(options, config);
+    if (!suppliers.outbound) {
+      throw new Error('Een scenario heeft een outbound supplier nodig om facturen te versturen.');
+    }
+
+    const runner = new ScenarioRunner(api, scenario, { store: openStore(options, config), suppliers });
+    const result = await runner.run();
+
+    const fileWriter = new ReportFileWriter(options['output-dir'] || config.settings.outputDir);
+    fileWriter.init('-scenario');
+    Logger.info(`Resultaat opgeslagen: ${fileWriter.save(`${JSON.stringify(result, null, 2)}\n`, 'json')}`);
+
+    if (!result.passed) {
+      process.exitCode = 1;
+    }
+  },
+
+  async show(api, args, options, config) {
+    requireArgs(args, ['documentId'], config);
+    const [documentId] = args;
+
+    const [xml, statuses] = await Promise.all([
+      api.fetchDocumentXml(documentId),
+      api.fetchInboundBusinessStatuses(documentId),
+    ]);
+    const details = XmlParser.parseInvoiceDetails(xml);
+    const { supplier, customer, totals, lines } = details.document;
+    const formatParty = (party) => {
+      if (!party) return '-';
+      const endpoint = [party.endpointId?.scheme, party.endpointId?.value].filter(Boolean).join(':');
+      return `${party.name || '-'} (${endpoint || '-'})`;
+    };
+
+    console.log(`Inbound FactuurID              : ${documentId}`);
+    formatDocumentHeader(details).forEach((line) => console.log(line));
+    console.log(`Factuurdatum                   : ${details.issueDate?.toISOString().slice(0, 10) || '-'}`);
+    console.log(`Vervaldatum                    : ${details.dueDate?.toISOString().slice(0, 10) || '-'}`);
+    console.log(`Leverancier                    : ${formatParty(supplier)}`);
+    console.log(`Klant                          : ${formatParty(customer)}`);
+    console.log(`Te betalen                     : ${totals.payable ? `${totals.payable.value} ${totals.payable.currency || ''}`.trim() : '-'}`);
+    console.log(`Regels                         : ${lines.length}`);
+    Logger.blank();
+
+    console.log('Business statussen:');
+    Logger.separator();
+    const sorted = [...statuses].sort(
+      (a, b) => new Date(a.attributes.createdAt) - new Date(b.attributes.createdAt)
+    );
+    for (const { attributes } of sorted) {
+      console.log(`  ${attributes.createdAt}  ${attributes.code} (technical: ${attributes.technicalStatus || '-'})`);
+    }
+    if (!sorted.length) {
+      console.log('  geen');
+    }
+    Logger.separator();
+  },
+
+  async watch(api, args, options, config) {
+    const schedule = createSchedule({
+      ...config.watch,
+      ...(options.interval !== undefined && { intervalSeconds: Number(options.interval) }),
+      ...(options.cron && { cron: options.cron }),
+    });
+    const controller = new AbortController();
+    const context = { signal: controller.signal, store: openStore(options, config), fileWriters: new Map() };
+
+    const stop = () => {
+      if (controller.signal.aborted) return;
+      Logger.warning('Stoppen aangevraagd: het huidige document wordt nog afgerond...');
+      controller.abort();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    Logger.info(`Watch mode gestart (${schedule.description}). Stoppen met Ctrl+C.`);
+
+    for (let cycle = 1; !controller.signal.aborted; cycle++) {
+      const startedAt = new Date();
+      let summaries = [];
+
+      try {
+        summaries = await runForTenants(api, options, (generator) => generator.generateReport(), context);
+      } catch (error) {
+        Logger.error(`Cyclus ${cycle} mislukt: ${error.message}`);
+        summaries = [{ error: error.message }];
+      }
+
+      const nextRun = controller.signal.aborted ? null : schedule.nextRun(new Date());
+      printHeartbeat(cycle, startedAt, summaries, nextRun);
+
+      if (nextRun) {
+        await sleep(Math.max(nextRun - Date.now(), 0), controller.signal);
+      }
+    }
+
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+    Logger.info('Watch mode gestopt.');
+  },
+
+  async webhook(api, args, options, config) {
+    const targets = buildRunTargets(options, config);
+    const store = openStore(options, config);
+    const findTarget = (supplierId) =>
+      targets.find(({ suppliers }) => [suppliers.outbound?.id, suppliers.inbound.id].includes(supplierId));
+
+    const server = new WebhookServer(async (event) => {
+      const target = findTarget(event.supplierId);
+      if (!target) {
+        Logger.warning(`Webhook ${event.id}: onbekende supplier ${event.supplierId}, genegeerd.`);
+        return;
+      }
+
+      Logger.header(`WEBHOOK: ${event.type}`);
+      const generator = new InvoiceReportGenerator(api, { ...target, store });
+      await generator.refreshDocument(event.direction, event.documentId);
+    }, config.webhook);
+
+    const port = options.port !== undefined ? Number(options.port) : undefined;
+    const address = await server.listen(port);
+    Logger.success(`Webhook server luistert op http://localhost:${address.port}${server.settings.path}`);
+    if (!server.settings.secret) {
+      Logger.warning('Geen WEBHOOK_SECRET ingesteld: handtekeningen worden niet gecontroleerd.');
+    }
+
+    await new Promise((resolve) => {
+      const shutdown = async () => {
+        Logger.info('Webhook server stoppen...');
+        await server.close();
+        resolve();
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    });
+  },
+
+  async history(api, args, options, config) {
+    requireArgs(args, ['factuurnr|documentId'], config);
+    const [query] = args;
+    const store = openStore(options, config);
+    const documentIds = store.findDocumentIds(query);
+
+    if (!documentIds.length) {
+      throw new Error(`Niets gevonden voor "${query}" in ${store.filename}`);
+    }
+
+    for (const documentId of documentIds) {
+      Logger.header(`HISTORIE: ${query} (inbound ${documentId})`);
+      for (const record of store.getTimeline(documentId)) {
+        console.log(`  ${record.recordedAt}  ${describeStoreRecord(record)}`);
+      }
+    }
+  },
+
+  async diff(api, args, options, config) {
+    requireArgs(args, ['oud rapport', 'nieuw rapport'], config);
+    const [beforeFile, afterFile] = args;
+    const before = ReportDiff.read(beforeFile);
+    const after = ReportDiff.read(afterFile);
+    const { added, removed, changed } = ReportDiff.compare(before, after);
+
+    Logger.header(`VERSCHIL: ${path.basename(beforeFile)} → ${path.basename(afterFile)}`);
+    console.log(`Oud: ${before.size} document(en), nieuw: ${after.size} document(en)`);
+
+    Logger.header(`NIEUW (${added.length})`);
+    for (const entry of added) {
+      console.log(`  + ${ReportDiff.describe(entry)}`);
+      console.log(`      IMR business-state: ${entry.inboundBusinessState}, outbound business-state: ${entry.outboundBusinessState}`);
+      if (entry.actions) console.log(`      Acties: ${entry.actions}`);
+    }
+
+    Logger.header(`VERDWENEN (${removed.length})`);
+    for (const entry of removed) {
+      console.log(`  - ${ReportDiff.describe(entry)}`);
+    }
+
+    Logger.header(`GEWIJZIGD (${changed.length})`);
+    for (const { entry, changes } of changed) {
+      console.log(`  ~ ${ReportDiff.describe(entry)}`);
+      for (const { field, from, to } of changes) {
+        console.log(`      ${REPORT_DIFF_FIELDS[field]}: ${from} → ${to}`);
+      }
+      if (entry.actions) console.log(`      Acties: ${entry.actions}`);
+    }
+
+    if (!added.length && !removed.length && !changed.length) {
+      Logger.info('Geen verschillen gevonden.');
+    }
+  },
+
+  async list(api, args, options, config) {
+    requireArgs(args, ['inbound|outbound'], config);
+    const [direction] = args;
+    const { suppliers, settings } = buildGeneratorOptions(options, config);
+    const lookbackDays = settings.lookbackDays ?? config.settings.lookbackDays;
+
+    let documents;
+    if (direction === 'inbound') {
+      documents = api.iterateInboundDocuments(suppliers.inbound.id);
+    } else if (direction === 'outbound') {
+      documents = api.iterateOutboundDocuments(suppliers.outbound.id, daysAgo(lookbackDays));
+    } else {
+      throw new Error(`Onbekende richting "${direction}", gebruik inbound of outbound.`);
+    }
+
+    let count = 0;
+    for await (const { id, attributes } of documents) {
+      count++;
+      console.log(`  ${id}`);
+      console.log(`    Created        : ${attributes.createdAt}`);
+      console.log(`    TransmissionId : ${attributes.transmissionId || '-'}`);
+      console.log(`    Technical      : ${attributes.technicalStatus || '-'}`);
+      console.log(`    Business       : ${attributes.businessStatus || '-'}`);
+    }
+    Logger.separator();
+    Logger.info(`${count} ${direction} document(en) gevonden.`);
+  },
+};
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main(argv = process.argv.slice(2), config = createConfig()) {
+  try {
+    const { command, args, options } = parseCliArgs(argv);
+
+    if (options.help) {
+      console.log(formatUsage(config));
+      return;
+    }
+
+    const handler = COMMANDS[command];
+    if (!handler) {
+      throw new Error(`Onbekend commando: ${command}\n\n${formatUsage(config)}`);
+    }
+
+    if (OFFLINE_COMMANDS.includes(command)) {
+      await handler(null, args, options, config);
+      return;
+    }
+
+    if (options.insecure) {
+      config.api.insecure = true;
+    }
+    validateConfig(config);
+    Logger.info('Authenticeren...');
+
+    const httpClient = createHttpClient(config);
+    const apiService = new PeppolApiService(httpClient, config);
+
+    await apiService.authenticate();
+    Logger.success('Token verkregen.');
+
+    await handler(apiService, args, options, config);
+  } catch (error) {
+    Logger.error(`Applicatiefout: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+export { parseCliArgs, buildRunTargets, main };
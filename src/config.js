@@ -0,0 +1,181 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { usesPlainHttp, skipsClientCertificate } from './http-client.js';
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Standaardwaarden, aangevuld met de omgeving; per client te overschrijven via createConfig(overrides)
+const defaultConfig = (env) => ({
+  api: {
+    baseUrl: env.BASE_URL,
+    tokenUrl: env.TOKEN_URL,
+    // Alleen voor de lokale mock: plain http zonder client certificaat toestaan
+    insecure: env.MOCK === '1',
+  },
+  auth: {
+    clientId: env.CLIENT_ID,
+    clientSecret: env.CLIENT_SECRET,
+  },
+  ssl: {
+    certDir: path.join(PROJECT_ROOT, 'cert'),
+    pfxFile: env.PFX_FILE || 'client_fullchain_with_password.pfx',
+    passphrase: env.SSL_PASSPHRASE,
+  },
+  suppliers: {
+    outbound: {
+      id: 'ef111c85-4315-4cde-bed9-efd29f25e19c',
+      name: 'ABC Test Peppol B.V. (Administratie Tenant: 035058)',
+    },
+    inbound: {
+      id: '330a0188-1cda-4596-9715-23ddb4c33771',
+      name: 'XYZ Test Peppol B.V. (Administratie Tenant: 034946)',
+    },
+  },
+  settings: {
+    pageSize: 100,
+    maxItems: 5000,
+    lookbackDays: 6,
+    cursorOverlapMinutes: 15,
+    timeout: 30000,
+    tokenRefreshMargin: 60000,
+    verificationTimeout: 120000,
+    // Per document: eerste poll direct na de POST, daarna verdubbelend tot verificationInterval
+    verificationInitialInterval: 250,
+    verificationInterval: 5000,
+    outputDir: './reports',
+    reportFormats: env.REPORT_FORMATS || 'text',
+    tenantsFile: env.TENANTS_FILE || null,
+    storeFile: env.STORE_FILE || './data/store.jsonl',
+  },
+  watch: {
+    intervalSeconds: Number(env.WATCH_INTERVAL_SECONDS) || 300,
+    jitterSeconds: 15,
+    cron: env.WATCH_CRON || null,
+  },
+  webhook: {
+    port: Number(env.WEBHOOK_PORT) || 3000,
+    path: env.WEBHOOK_PATH || '/webhooks/peppol',
+    secret: env.WEBHOOK_SECRET || null,
+    signatureHeader: 'x-webhook-signature',
+    maxBodySize: 1024 * 1024,
+    maxRememberedEvents: 10000,
+  },
+  send: {
+    templateFile: env.SEND_TEMPLATE_FILE || path.join(PROJECT_ROOT, 'templates', 'invoice.xml'),
+    firstInvoiceNumber: Number(env.SEND_FIRST_INVOICE_NUMBER) || 430000,
+    currency: 'EUR',
+    amount: 100,
+    vatPercent: 21,
+    paymentTermDays: 30,
+    // Peppol endpoints als "scheme:waarde", bijv. 0106:12345678
+    seller: {
+      endpoint: env.SEND_SELLER_ENDPOINT || null,
+      name: 'ABC Test Peppol B.V.',
+      vatNumber: env.SEND_SELLER_VAT || null,
+    },
+    buyer: {
+      endpoint: env.SEND_BUYER_ENDPOINT || null,
+      name: 'XYZ Test Peppol B.V.',
+    },
+  },
+  decision: {
+    strategy: env.DECISION_STRATEGY || 'random',
+    rulesFile: env.DECISION_RULES_FILE || './decision-rules.json',
+  },
+  retry: {
+    maxAttempts: 4,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: 0.25,
+    retryableStatuses: [408, 429, 500, 502, 503, 504],
+    retryableErrorCodes: ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'ERR_NETWORK'],
+  },
+  businessStatus: {
+    codes: {
+      ACKNOWLEDGED: 'acknowledged',
+      IN_PROCESS: 'in-process',
+      UNDER_QUERY: 'under-query',
+      CONDITIONALLY_ACCEPTED: 'conditionally-accepted',
+      ACCEPTED: 'accepted',
+      REJECTED: 'rejected',
+      PAID: 'paid',
+    },
+    get allStatuses() {
+      return Object.values(this.codes);
+    },
+    get finalStatuses() {
+      return [this.codes.ACCEPTED, this.codes.REJECTED];
+    },
+    transitionsFile: env.STATUS_TRANSITIONS_FILE || null,
+    // Toegestane overgangen per huidige IMR code; "initial" is een document zonder business status.
+    // Afgeleid van codes, zodat overschreven codes ook hier gelden
+    get transitions() {
+      const { ACKNOWLEDGED, IN_PROCESS, UNDER_QUERY, CONDITIONALLY_ACCEPTED, ACCEPTED, REJECTED, PAID } = this.codes;
+      return {
+        initial: [ACKNOWLEDGED, IN_PROCESS, UNDER_QUERY, CONDITIONALLY_ACCEPTED, ACCEPTED, REJECTED],
+        [ACKNOWLEDGED]: [IN_PROCESS, UNDER_QUERY, CONDITIONALLY_ACCEPTED, ACCEPTED, REJECTED],
+        [IN_PROCESS]: [UNDER_QUERY, CONDITIONALLY_ACCEPTED, ACCEPTED, REJECTED],
+        [UNDER_QUERY]: [IN_PROCESS, CONDITIONALLY_ACCEPTED, ACCEPTED, REJECTED],
+        [CONDITIONALLY_ACCEPTED]: [IN_PROCESS, UNDER_QUERY, ACCEPTED, REJECTED, PAID],
+        [ACCEPTED]: [PAID],
+        [REJECTED]: [],
+        [PAID]: [],
+      };
+    },
+  },
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Diep samenvoegen met behoud van getters (businessStatus.finalStatuses volgt zo overschreven codes)
+function mergeConfig(base, overrides = {}) {
+  const merged = Object.defineProperties({}, Object.getOwnPropertyDescriptors(base));
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === undefined) continue;
+    Object.defineProperty(merged, key, {
+      value: isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value,
+      enumerable: true,
+      writable: true,
+      configurable: true,
+    });
+  }
+
+  return merged;
+}
+
+function createConfig(overrides = {}, env = process.env) {
+  return mergeConfig(defaultConfig(env), overrides);
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function validateConfig(config) {
+  const required = {
+    BASE_URL: config.api.baseUrl,
+    TOKEN_URL: config.api.tokenUrl,
+    CLIENT_ID: config.auth.clientId,
+    CLIENT_SECRET: config.auth.clientSecret,
+    ...(skipsClientCertificate(config) ? {} : { SSL_PASSPHRASE: config.ssl.passphrase }),
+  };
+
+  const missing = Object.keys(required).filter((key) => !required[key]);
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing required configuration: ${missing.join(', ')}\n` +
+        `Please check your .env file in the project root or the config passed to createClient.`
+    );
+  }
+
+  if (usesPlainHttp(config) && !config.api.insecure) {
+    throw new Error(
+      `BASE_URL ${config.api.baseUrl} uses plain http, which skips the client certificate.\n` +
+        `Only for the local mock server: set MOCK=1 or pass --insecure.`
+    );
+  }
+}
+
+export { createConfig, validateConfig };
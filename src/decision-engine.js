@@ -0,0 +1,151 @@
+import fs from 'fs';
+import path from 'path';
+import { randomChoice } from './utils.js';
+
+const RuleOperators = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => actual !== null && actual > expected,
+  gte: (actual, expected) => actual !== null && actual >= expected,
+  lt: (actual, expected) => actual !== null && actual < expected,
+  lte: (actual, expected) => actual !== null && actual <= expected,
+  in: (actual, expected) => expected.includes(actual),
+  notIn: (actual, expected) => !expected.includes(actual),
+  matches: (actual, expected) => actual !== null && new RegExp(expected).test(actual),
+  missing: (actual) => actual === null || actual === undefined || actual === '',
+  present: (actual) => actual !== null && actual !== undefined && actual !== '',
+};
+
+// Datums als UTC middernacht: "2025-11-28" parset als UTC, dus "today" moet dat ook zijn
+const utcDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+const toUtcDay = (value) => {
+  const date = value === 'today' ? new Date() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : utcDay(date);
+};
+
+// Alleen datumvelden (dueDate, issueDate) en "today" als datum vergelijken: "2025-11-28-A" blijft een string
+const normalizeRuleValues = (actual, expected) => {
+  if (actual instanceof Date || expected === 'today') {
+    return [actual === null || actual === undefined ? null : toUtcDay(actual), toUtcDay(expected)];
+  }
+  return [actual ?? null, expected ?? null];
+};
+
+const UNARY_OPERATORS = ['missing', 'present'];
+
+function validateRule(rule, index, filePath) {
+  const label = `Regel "${rule.name || index + 1}" in ${filePath}`;
+  const { when } = rule;
+
+  if (!when || typeof when !== 'object') {
+    throw new Error(`${label} mist "when"`);
+  }
+  if (typeof when.field !== 'string' || !when.field) {
+    throw new Error(`${label} mist "when.field"`);
+  }
+  if (!RuleOperators[when.op]) {
+    throw new Error(`${label}: onbekende operator "${when.op}", kies uit: ${Object.keys(RuleOperators).join(', ')}`);
+  }
+  if (!UNARY_OPERATORS.includes(when.op) && when.value === undefined) {
+    throw new Error(`${label}: operator "${when.op}" vereist "when.value"`);
+  }
+  if (['in', 'notIn'].includes(when.op) && !Array.isArray(when.value)) {
+    throw new Error(`${label}: operator "${when.op}" vereist een lijst als "when.value"`);
+  }
+}
+
+const DecisionStrategies = {
+  random: (settings, { codes }) => ({
+    name: 'random',
+    decide() {
+      const { ACCEPTED, REJECTED } = codes;
+      return { code: randomChoice([ACCEPTED, REJECTED]), rule: 'random' };
+    },
+  }),
+
+  rules: ({ rulesFile }, { codes, finalStatuses }) => {
+    const filePath = path.resolve(rulesFile);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Beslisregels niet gevonden: ${filePath}`);
+    }
+
+    const {
+      decisions = {},
+      senders = {},
+      rules = [],
+      default: fallback,
+      creditNoteDefault: creditNoteFallback,
+    } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const { allow = [], deny = [] } = senders;
+
+    const outcomes = [...Object.values(decisions), ...rules.map((r) => r.then), fallback, creditNoteFallback];
+    for (const code of outcomes) {
+      if (code !== undefined && !finalStatuses.includes(code)) {
+        throw new Error(`Ongeldige uitkomst "${code}" in ${filePath}, toegestaan: ${finalStatuses.join(', ')}`);
+      }
+    }
+    // Bij het laden controleren: een fout halverwege de batch laat documenten half verwerkt achter
+    rules.forEach((rule, index) => validateRule(rule, index, filePath));
+
+    return {
+      name: 'rules',
+      decide({ invoice }) {
+        if (!invoice || invoice.error) return null;
+
+        if (decisions[invoice.invoiceNumber]) {
+          return { code: decisions[invoice.invoiceNumber], rule: `factuurnummer ${invoice.invoiceNumber}` };
+        }
+
+        if (invoice.senderId && deny.includes(invoice.senderId)) {
+          return { code: codes.REJECTED, rule: `afzender ${invoice.senderId} op denylist` };
+        }
+
+        if (allow.length > 0 && !allow.includes(invoice.senderId)) {
+          return { code: codes.REJECTED, rule: `afzender ${invoice.senderId || '-'} niet op allowlist` };
+        }
+
+        for (const { name, when, then, appliesTo } of rules) {
+          if (appliesTo && appliesTo !== invoice.documentType) continue;
+
+          const [actual, expected] = normalizeRuleValues(invoice[when.field], when.value);
+          if (RuleOperators[when.op](actual, expected)) {
+            return { code: then, rule: name || `${when.field} ${when.op} ${when.value ?? ''}`.trim() };
+          }
+        }
+
+        if (invoice.isCreditNote && creditNoteFallback) {
+          return { code: creditNoteFallback, rule: 'standaard creditnota' };
+        }
+        return fallback ? { code: fallback, rule: 'standaard' } : null;
+      },
+    };
+  },
+};
+
+class DecisionEngine {
+  constructor(strategy) {
+    this.strategy = strategy;
+  }
+
+  static fromConfig(config, options = {}) {
+    const settings = { ...config.decision, ...options };
+    const factory = DecisionStrategies[settings.strategy];
+    if (!factory) {
+      throw new Error(
+        `Onbekende beslisstrategie "${settings.strategy}", kies uit: ${Object.keys(DecisionStrategies).join(', ')}`
+      );
+    }
+    return new DecisionEngine(factory(settings, config.businessStatus));
+  }
+
+  get name() {
+    return this.strategy.name;
+  }
+
+  decide(context) {
+    return this.strategy.decide(context);
+  }
+}
+
+export { RuleOperators, DecisionStrategies, DecisionEngine };
@@ -0,0 +1,39 @@
+import axios from 'axios';
+import https from 'https';
+import fs from 'fs';
+import path from 'path';
+
+const usesPlainHttp = (config) => Boolean(config.api.baseUrl?.startsWith('http://'));
+
+// De lokale mock server (mock-server.js) draait over http en vraagt geen client certificaat.
+// Alleen met expliciete opt-in (MOCK=1 of --insecure), zodat een getypte http:// productie-URL niet stil degradeert.
+const skipsClientCertificate = (config) => Boolean(config.api.insecure) && usesPlainHttp(config);
+
+function createHttpClient(config) {
+  if (usesPlainHttp(config) && !config.api.insecure) {
+    throw new Error(`Plain http BASE_URL requires MOCK=1 or --insecure: ${config.api.baseUrl}`);
+  }
+  if (skipsClientCertificate(config)) {
+    return axios.create({ timeout: config.settings.timeout });
+  }
+
+  const { certDir, pfxFile, passphrase } = config.ssl;
+  const certPath = path.resolve(certDir, pfxFile);
+
+  if (!fs.existsSync(certPath)) {
+    throw new Error(`SSL certificate not found: ${certPath}`);
+  }
+
+  const httpsAgent = new https.Agent({
+    pfx: fs.readFileSync(certPath),
+    passphrase,
+    rejectUnauthorized: false,
+  });
+
+  return axios.create({
+    httpsAgent,
+    timeout: config.settings.timeout,
+  });
+}
+
+export { usesPlainHttp, skipsClientCertificate, createHttpClient };
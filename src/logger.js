@@ -0,0 +1,15 @@
+const Logger = {
+  info: (msg) => console.log(`ℹ️  ${msg}`),
+  success: (msg) => console.log(`✅ ${msg}`),
+  error: (msg) => console.error(`❌ ${msg}`),
+  warning: (msg) => console.log(`⚠️  ${msg}`),
+  separator: () => console.log('-'.repeat(80)),
+  blank: () => console.log(''),
+  header: (msg) => {
+    Logger.blank();
+    console.log(`${'='.repeat(20)} ${msg} ${'='.repeat(20)}`);
+    Logger.blank();
+  },
+};
+
+export { Logger };
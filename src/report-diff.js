@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import { REPORT_SEPARATOR, formatActions } from './report-formatters.js';
+
+const REPORT_TEXT_FIELDS = {
+  'Factuurnummer (BIS 3.0)': 'invoiceNumber',
+  'Creditnotanummer (BIS 3.0)': 'invoiceNumber',
+  'Betreft (BIS 3.0)': 'description',
+  'Outbound FactuurID': 'outboundId',
+  'Outbound technical-state': 'outboundTechnicalState',
+  'Outbound business-state': 'outboundBusinessState',
+  'Transmission FactuurID': 'transmissionId',
+  'Inbound FactuurID': 'inboundId',
+  'IMR technical-state': 'inboundTechnicalState',
+  'IMR business-state': 'inboundBusinessState',
+  'Acties deze run': 'actions',
+};
+
+const REPORT_DIFF_FIELDS = {
+  outboundTechnicalState: 'Outbound technical-state',
+  outboundBusinessState: 'Outbound business-state',
+  inboundTechnicalState: 'IMR technical-state',
+  inboundBusinessState: 'IMR business-state',
+};
+
+const ReportDiff = {
+  read(file) {
+    const filePath = path.resolve(file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Rapport niet gevonden: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const entries = filePath.endsWith('.json') ? this.fromModel(JSON.parse(content)) : this.fromText(content);
+    return new Map(entries.map((entry) => [entry.inboundId, entry]));
+  },
+
+  fromModel(model) {
+    if (!Array.isArray(model?.entries)) {
+      throw new Error('JSON rapport bevat geen entries');
+    }
+
+    return model.entries.map(({ document, outbound, transmissionId, inbound, actions = {} }) => ({
+      invoiceNumber: document.invoiceNumber,
+      description: document.description,
+      outboundId: outbound?.id || null,
+      outboundTechnicalState: outbound?.technicalState || '-',
+      outboundBusinessState: outbound?.businessState || '-',
+      transmissionId,
+      inboundId: inbound.id,
+      inboundTechnicalState: inbound.technicalState,
+      inboundBusinessState: inbound.businessState,
+      actions: formatActions(actions).join(' → ') || null,
+    }));
+  },
+
+  fromText(content) {
+    const entries = [];
+
+    for (const block of content.split(REPORT_SEPARATOR)) {
+      const entry = { outboundId: null, outboundTechnicalState: '-', outboundBusinessState: '-', actions: null };
+
+      for (const line of block.split('\n')) {
+        const match = line.match(/^(.+?)\s+: (.*)$/);
+        const field = match && REPORT_TEXT_FIELDS[match[1]];
+        if (field) entry[field] = match[2];
+      }
+
+      // Het dry-run kopblok en de lege staart na het laatste scheidingsteken hebben geen document
+      if (entry.inboundId) entries.push(entry);
+    }
+
+    return entries;
+  },
+
+  compare(before, after) {
+    const added = [...after.values()].filter((entry) => !before.has(entry.inboundId));
+    const removed = [...before.values()].filter((entry) => !after.has(entry.inboundId));
+    const changed = [];
+
+    for (const [inboundId, entry] of after) {
+      const previous = before.get(inboundId);
+      if (!previous) continue;
+
+      const changes = Object.keys(REPORT_DIFF_FIELDS)
+        .filter((field) => previous[field] !== entry[field])
+        .map((field) => ({ field, from: previous[field], to: entry[field] }));
+
+      if (changes.length || entry.actions) {
+        changed.push({ entry, changes });
+      }
+    }
+
+    return { added, removed, changed };
+  },
+
+  describe(entry) {
+    return `${entry.invoiceNumber || '-'} (inbound ${entry.inboundId}, outbound ${entry.outboundId || '-'})`;
+  },
+};
+
+export { REPORT_DIFF_FIELDS, ReportDiff };
@@ -0,0 +1,457 @@
+import { formatDuration } from './utils.js';
+
+const REPORT_SEPARATOR = '-'.repeat(80);
+
+function describeAction(action) {
+  if (action.dryRun) return `${action.statusCode} (gepland)`;
+  return action.success ? `${action.statusCode} (ok)` : `${action.statusCode} (fout: ${action.error})`;
+}
+
+function toCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toMarkdownCell(value) {
+  const text = value === null || value === undefined || value === '' ? '-' : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function formatDocumentHeader(details) {
+  if (!details.isCreditNote) {
+    return [
+      `Factuurnummer (BIS 3.0)         : ${details.invoiceNumber}`,
+      `Betreft (BIS 3.0)               : ${details.description}`,
+    ];
+  }
+
+  const amount =
+    details.payableAmount !== null ? `${details.payableAmount} ${details.currency || ''}`.trim() : '-';
+
+  return [
+    `Creditnotanummer (BIS 3.0)      : ${details.invoiceNumber}`,
+    `Betreft (BIS 3.0)               : ${details.description}`,
+    `Originele factuur (BIS 3.0)     : ${details.billingReference || '-'}`,
+    `Creditbedrag (BIS 3.0)          : ${amount}`,
+  ];
+}
+
+function formatActions(processResult) {
+  const actions = [];
+
+  if (processResult.acknowledged) {
+    const ack = processResult.acknowledged;
+    if (ack.dryRun) {
+      actions.push('acknowledged (gepland)');
+    } else {
+      actions.push(ack.success ? 'acknowledged ✅' : `acknowledged ❌ (${ack.error})`);
+    }
+  }
+
+  if (processResult.final?.dryRun) {
+    actions.push(`${processResult.final.statusCode} (gepland)`);
+  } else if (processResult.final) {
+    const fin = processResult.final;
+    const emoji = fin.statusCode === 'accepted' ? '👍' : '👎';
+    actions.push(fin.success ? `${fin.statusCode} ${emoji}` : `${fin.statusCode} ❌ (${fin.error})`);
+  }
+
+  return actions;
+}
+
+function formatPropagation(processResult) {
+  const checks = Object.values(processResult)
+    .filter((result) => result.verification)
+    .map(({ statusCode, verification }) => {
+      if (verification.propagated) return `${statusCode} ✅ (latency ${formatDuration(verification.latencyMs)})`;
+      if (verification.aborted) return `${statusCode} verificatie afgebroken (outbound: ${verification.observed || '-'})`;
+      return `${statusCode} ⚠️ niet gepropageerd (outbound: ${verification.observed || '-'})`;
+    });
+
+  return checks.length ? checks.join(', ') : null;
+}
+
+const RECONCILIATION_SECTIONS = {
+  outboundOnly: 'Outbound zonder inbound tegenhanger (mogelijk verloren transmissie)',
+  inboundOnly: 'Inbound zonder outbound tegenhanger',
+  missingTransmissionId: 'Documenten zonder transmissionId',
+};
+
+function hasReconciliationFindings(reconciliation) {
+  return Boolean(reconciliation) && Object.keys(RECONCILIATION_SECTIONS).some((key) => reconciliation[key].length);
+}
+
+function formatAge(hours) {
+  return hours >= 24 ? `${Math.floor(hours / 24)}d ${hours % 24}u` : `${hours}u`;
+}
+
+function formatLatency({ count, min, median, p95, max, resolutionMs }) {
+  return (
+    `${count} gemeten: min ${formatDuration(min)}, median ${formatDuration(median)}, ` +
+    `p95 ${formatDuration(p95)}, max ${formatDuration(max)}` +
+    (resolutionMs !== undefined ? ` (resolutie ${formatDuration(resolutionMs)})` : '')
+  );
+}
+
+function formatReconciliation(reconciliation) {
+  const lines = [];
+
+  for (const [key, title] of Object.entries(RECONCILIATION_SECTIONS)) {
+    const docs = reconciliation[key];
+    if (!docs.length) continue;
+
+    lines.push(`${title} (${docs.length}):`);
+    for (const doc of docs) {
+      lines.push(
+        `  ${doc.direction.padEnd(9)}${doc.id}  transmissionId: ${doc.transmissionId || '-'}  ` +
+          `created: ${doc.createdAt} (${formatAge(doc.ageHours)} oud)  ` +
+          `technical: ${doc.technicalState}  business: ${doc.businessState}`
+      );
+    }
+    lines.push('');
+  }
+
+  return lines;
+}
+
+const STATE_TONES = {
+  ok: ['accepted', 'delivered', 'received', 'success', 'paid'],
+  error: ['rejected', 'failed', 'error', 'refused'],
+};
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function stateBadge(state) {
+  const value = state || '-';
+  const tone =
+    Object.keys(STATE_TONES).find((key) => STATE_TONES[key].includes(value.toLowerCase())) ||
+    (value === '-' ? 'none' : 'pending');
+  return `<span class="state state-${tone}">${escapeHtml(value)}</span>`;
+}
+
+const ReportFormatters = {
+  text: {
+    extension: 'txt',
+    render(model) {
+      const lines = [];
+
+      if (model.dryRun) {
+        lines.push('SIMULATIE (dry-run): er zijn geen statussen verstuurd.', REPORT_SEPARATOR, '');
+      }
+
+      for (const { document, outbound, transmissionId, inbound, actions } of model.entries) {
+        lines.push(...formatDocumentHeader(document), '');
+
+        if (outbound) {
+          lines.push(
+            `Outbound Supplier name         : ${outbound.supplierName}`,
+            `Outbound Supplier ID           : ${outbound.supplierId}`,
+            `Outbound FactuurID             : ${outbound.id}`,
+            `Outbound Created DateTime      : ${outbound.createdAt}`,
+            `Outbound technical-state       : ${outbound.technicalState}`,
+            `Outbound business-state        : ${outbound.businessState}`,
+            ''
+          );
+        }
+
+        lines.push(
+          `Transmission FactuurID         : ${transmissionId}`,
+          '',
+          `Inbound Supplier name          : ${inbound.supplierName}`,
+          `Inbound Supplier ID            : ${inbound.supplierId}`,
+          `Inbound FactuurID              : ${inbound.id}`,
+          `Inbound Created DateTime       : ${inbound.createdAt}`,
+          `IMR technical-state            : ${inbound.technicalState}`,
+          `IMR business-state             : ${inbound.businessState}`
+        );
+
+        const formatted = formatActions(actions);
+        if (formatted.length > 0) {
+          lines.push('', `Acties deze run                : ${formatted.join(' → ')}`);
+        }
+        if (actions.final?.rule) {
+          lines.push(`Beslisregel                    : ${actions.final.rule}`);
+        }
+        const propagation = formatPropagation(actions);
+        if (propagation) {
+          lines.push(`Propagatie outbound            : ${propagation}`);
+        }
+
+        lines.push(REPORT_SEPARATOR, '');
+      }
+
+      if (hasReconciliationFindings(model.reconciliation)) {
+        lines.push('RECONCILIATIE', REPORT_SEPARATOR, ...formatReconciliation(model.reconciliation));
+      }
+
+      if (model.latency) {
+        lines.push('PROPAGATIE LATENCY', REPORT_SEPARATOR, formatLatency(model.latency), '');
+      }
+
+      return lines.join('\n');
+    },
+  },
+
+  json: {
+    extension: 'json',
+    render(model) {
+      return `${JSON.stringify(model, null, 2)}\n`;
+    },
+  },
+
+  csv: {
+    extension: 'csv',
+    columns: [
+      ['documentType', (e) => e.document.documentType],
+      ['invoiceNumber', (e) => e.document.invoiceNumber],
+      ['description', (e) => e.document.description],
+      ['payableAmount', (e) => e.document.payableAmount],
+      ['currency', (e) => e.document.currency],
+      ['transmissionId', (e) => e.transmissionId],
+      ['outboundId', (e) => e.outbound?.id],
+      ['outboundTechnicalState', (e) => e.outbound?.technicalState],
+      ['outboundBusinessState', (e) => e.outbound?.businessState],
+      ['inboundId', (e) => e.inbound.id],
+      ['inboundTechnicalState', (e) => e.inbound.technicalState],
+      ['inboundBusinessState', (e) => e.inbound.businessState],
+      ['actions', (e) => Object.values(e.actions).map(describeAction).join(' -> ')],
+      ['rule', (e) => e.actions.final?.rule],
+      [
+        'notPropagated',
+        (e) =>
+          Object.values(e.actions)
+            .filter((a) => a.verification && !a.verification.propagated && !a.verification.aborted)
+            .map((a) => a.statusCode)
+            .join(' '),
+      ],
+      ['acknowledgedLatencyMs', (e) => e.actions.acknowledged?.verification?.latencyMs],
+      ['finalLatencyMs', (e) => e.actions.final?.verification?.latencyMs],
+      ['dryRun', (_, model) => model.dryRun],
+    ],
+    render(model) {
+      const rows = [this.columns.map(([name]) => name)];
+      for (const entry of model.entries) {
+        rows.push(this.columns.map(([, value]) => value(entry, model)));
+      }
+      return `${rows.map((row) => row.map(toCsvValue).join(',')).join('\r\n')}\r\n`;
+    },
+  },
+
+  md: {
+    extension: 'md',
+    render(model) {
+      const { outbound, inbound } = model.suppliers;
+      const lines = [
+        `# Business status rapport${model.label ? ` (${model.label})` : ''}`,
+        '',
+        `- Inbound supplier: ${inbound.name} (${inbound.id})`,
+        `- Outbound supplier: ${outbound ? `${outbound.name} (${outbound.id})` : '-'}`,
+        `- Documenten: ${model.entries.length}`,
+        ...(model.latency ? [`- Propagatie latency: ${formatLatency(model.latency)}`] : []),
+      ];
+
+      if (model.dryRun) {
+        lines.push('', '> **SIMULATIE (dry-run):** er zijn geen statussen verstuurd.');
+      }
+
+      lines.push(
+        '',
+        '| Nummer | Betreft | Outbound | Outbound business | Inbound | IMR technical | IMR business | Acties | Beslisregel |',
+        '| --- | --- | --- | --- | --- | --- | --- | --- | --- |'
+      );
+
+      for (const entry of model.entries) {
+        const cells = [
+          entry.document.invoiceNumber,
+          entry.document.description,
+          entry.outbound?.id,
+          entry.outbound?.businessState,
+          entry.inbound.id,
+          entry.inbound.technicalState,
+          entry.inbound.businessState,
+          formatActions(entry.actions).join(' → '),
+          entry.actions.final?.rule,
+        ];
+        lines.push(`| ${cells.map(toMarkdownCell).join(' | ')} |`);
+      }
+
+      if (hasReconciliationFindings(model.reconciliation)) {
+        lines.push('', '## Reconciliatie');
+        for (const [key, title] of Object.entries(RECONCILIATION_SECTIONS)) {
+          const docs = model.reconciliation[key];
+          if (!docs.length) continue;
+
+          lines.push('', `### ${title}`, '', '| Richting | ID | TransmissionId | Created | Leeftijd | Technical | Business |');
+          lines.push('| --- | --- | --- | --- | --- | --- | --- |');
+          for (const doc of docs) {
+            const cells = [doc.direction, doc.id, doc.transmissionId, doc.createdAt, formatAge(doc.ageHours),
+              doc.technicalState, doc.businessState];
+            lines.push(`| ${cells.map(toMarkdownCell).join(' | ')} |`);
+          }
+        }
+      }
+
+      return `${lines.join('\n')}\n`;
+    },
+  },
+  html: {
+    extension: 'html',
+    render(model) {
+      const { outbound, inbound } = model.suppliers;
+      const counts = [
+        ['IMR business-state', (e) => e.inbound.businessState],
+        ['IMR technical-state', (e) => e.inbound.technicalState],
+        ['Outbound business-state', (e) => e.outbound?.businessState || '-'],
+      ].map(([title, value]) => {
+        const tally = new Map();
+        model.entries.forEach((entry) => tally.set(value(entry), (tally.get(value(entry)) || 0) + 1));
+        const items = [...tally].map(([state, count]) => `<li>${stateBadge(state)} ${count}</li>`).join('');
+        return `<section class="count"><h2>${escapeHtml(title)}</h2><ul>${items}</ul></section>`;
+      });
+
+      const rows = model.entries.map((entry) => {
+        const timeline = [...entry.inbound.statuses]
+          .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+          .map((s) => `<li><time>${escapeHtml(s.createdAt)}</time> ${stateBadge(s.code)} ${escapeHtml(s.technicalStatus || '-')}</li>`)
+          .join('');
+        const cells = [
+          [entry.document.invoiceNumber, escapeHtml(entry.document.invoiceNumber)],
+          [entry.document.documentType, escapeHtml(entry.document.documentType || '-')],
+          [entry.document.description, escapeHtml(entry.document.description)],
+          [entry.outbound?.id, escapeHtml(entry.outbound?.id || '-')],
+          [entry.outbound?.technicalState, stateBadge(entry.outbound?.technicalState || '-')],
+          [entry.outbound?.businessState, stateBadge(entry.outbound?.businessState || '-')],
+          [entry.inbound.id, escapeHtml(entry.inbound.id)],
+          [entry.inbound.technicalState, stateBadge(entry.inbound.technicalState)],
+          [entry.inbound.businessState, stateBadge(entry.inbound.businessState)],
+          [null, escapeHtml(formatActions(entry.actions).join(' → ') || '-')],
+          [
+            entry.inbound.statuses.length,
+            timeline
+              ? `<details><summary>${entry.inbound.statuses.length} status(sen)</summary><ol>${timeline}</ol></details>`
+              : '-',
+          ],
+        ];
+        return `<tr>${cells.map(([sort, html]) => `<td data-sort="${escapeHtml(sort ?? '')}">${html}</td>`).join('')}</tr>`;
+      });
+
+      const reconciliation = hasReconciliationFindings(model.reconciliation)
+        ? Object.entries(RECONCILIATION_SECTIONS)
+            .filter(([key]) => model.reconciliation[key].length)
+            .map(([key, title]) => {
+              const items = model.reconciliation[key].map(
+                (doc) =>
+                  `<tr><td>${escapeHtml(doc.direction)}</td><td>${escapeHtml(doc.id)}</td>` +
+                  `<td>${escapeHtml(doc.transmissionId || '-')}</td><td>${escapeHtml(doc.createdAt)}</td>` +
+                  `<td>${formatAge(doc.ageHours)}</td><td>${stateBadge(doc.technicalState)}</td>` +
+                  `<td>${stateBadge(doc.businessState)}</td></tr>`
+              );
+              return (
+                `<h3>${escapeHtml(title)}</h3>\n<table class="reconciliation"><thead><tr><th>Richting</th><th>ID</th>` +
+                `<th>TransmissionId</th><th>Created</th><th>Leeftijd</th><th>Technical</th><th>Business</th></tr></thead>` +
+                `<tbody>${items.join('')}</tbody></table>`
+              );
+            })
+        : [];
+
+      const headers = ['Nummer', 'Type', 'Betreft', 'Outbound', 'Outbound technical', 'Outbound business',
+        'Inbound', 'IMR technical', 'IMR business', 'Acties deze run', 'Historie'];
+
+      return `<!DOCTYPE html>
+<html lang="nl">
+<head>
+<meta charset="utf-8">
+<title>Business status rapport${model.label ? ` (${escapeHtml(model.label)})` : ''}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+.meta { color: #555; }
+.warning { background: #fff3cd; border: 1px solid #e0c36a; padding: .5rem 1rem; }
+.counts { display: flex; gap: 2rem; flex-wrap: wrap; }
+.count ul { list-style: none; padding: 0; }
+.count li { margin: .2rem 0; }
+.count h2 { font-size: 1rem; }
+input { padding: .4rem; width: 20rem; margin: 1rem 0; }
+table { border-collapse: collapse; width: 100%; font-size: .9rem; }
+th, td { border: 1px solid #ddd; padding: .4rem; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; cursor: pointer; user-select: none; }
+th[aria-sort=ascending]::after { content: ' ▲'; }
+th[aria-sort=descending]::after { content: ' ▼'; }
+.state { border-radius: .6rem; padding: .1rem .5rem; white-space: nowrap; }
+.state-ok { background: #d4edda; color: #155724; }
+.state-error { background: #f8d7da; color: #721c24; }
+.state-pending { background: #fff3cd; color: #856404; }
+.state-none { background: #eee; color: #777; }
+details ol { margin: .4rem 0 0; padding-left: 1.2rem; }
+time { color: #555; }
+</style>
+</head>
+<body>
+<h1>Business status rapport${model.label ? ` (${escapeHtml(model.label)})` : ''}</h1>
+<p class="meta">Inbound supplier: ${escapeHtml(`${inbound.name} (${inbound.id})`)}<br>
+Outbound supplier: ${escapeHtml(outbound ? `${outbound.name} (${outbound.id})` : '-')}<br>
+Documenten: ${model.entries.length}${model.latency ? `<br>\nPropagatie latency: ${formatLatency(model.latency)}` : ''}</p>
+${model.dryRun ? '<p class="warning"><strong>SIMULATIE (dry-run):</strong> er zijn geen statussen verstuurd.</p>\n' : ''}<div class="counts">${counts.join('')}</div>
+<input id="filter" type="search" placeholder="Filter op nummer, ID of status">
+<table id="report">
+<thead><tr>${headers.map((h) => `<th>${h}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+${reconciliation.length ? `<h2>Reconciliatie</h2>\n${reconciliation.join('\n')}\n` : ''}<script>
+  const table = document.getElementById('report');
+  const body = table.tBodies[0];
+  document.getElementById('filter').addEventListener('input', (event) => {
+    const query = event.target.value.toLowerCase();
+    for (const row of body.rows) row.hidden = !row.textContent.toLowerCase().includes(query);
+  });
+  table.querySelectorAll('th').forEach((th, index) => {
+    th.addEventListener('click', () => {
+      const direction = th.getAttribute('aria-sort') === 'ascending' ? 'descending' : 'ascending';
+      table.querySelectorAll('th').forEach((other) => other.removeAttribute('aria-sort'));
+      th.setAttribute('aria-sort', direction);
+      const rows = [...body.rows].sort((a, b) => {
+        const x = a.cells[index].dataset.sort || a.cells[index].textContent;
+        const y = b.cells[index].dataset.sort || b.cells[index].textContent;
+        return x.localeCompare(y, 'nl', { numeric: true });
+      });
+      if (direction === 'descending') rows.reverse();
+      rows.forEach((row) => body.appendChild(row));
+    });
+  });
+</script>
+</body>
+</html>
+`;
+    },
+  },
+};
+
+function parseReportFormats(value) {
+  const formats = (Array.isArray(value) ? value : String(value).split(','))
+    .map((format) => format.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = formats.filter((format) => !ReportFormatters[format]);
+  if (unknown.length) {
+    throw new Error(
+      `Onbekend rapportformaat "${unknown.join(', ')}", kies uit: ${Object.keys(ReportFormatters).join(', ')}`
+    );
+  }
+
+  return formats.length ? [...new Set(formats)] : ['text'];
+}
+
+export {
+  REPORT_SEPARATOR,
+  formatDocumentHeader,
+  formatActions,
+  formatPropagation,
+  hasReconciliationFindings,
+  formatReconciliation,
+  formatLatency,
+  ReportFormatters,
+  parseReportFormats,
+};
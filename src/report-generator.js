@@ -0,0 +1,836 @@
+import { Logger } from './logger.js';
+import { sleep, daysAgo, formatDuration, summarizeLatencies } from './utils.js';
+import { XmlParser } from './xml-parser.js';
+import { StatusResolver, BusinessStatusManager } from './business-status.js';
+import { DecisionEngine } from './decision-engine.js';
+import { ReportFileWriter } from './report-writer.js';
+import {
+  hasReconciliationFindings,
+  formatReconciliation,
+  ReportFormatters,
+  parseReportFormats,
+} from './report-formatters.js';
+
+class InvoiceReportGenerator {
+  constructor(apiService, options = {}) {
+    this.api = apiService;
+    this.config = apiService.config;
+    this.suppliers = options.suppliers || this.config.suppliers;
+    this.settings = { ...this.config.settings, ...options.settings };
+    this.dryRun = Boolean(options.dryRun);
+    this.decisionEngine = DecisionEngine.fromConfig(this.config, options.decision);
+    this.statusManager = new BusinessStatusManager(apiService, this.decisionEngine);
+    this.processResults = new Map();
+    this.propagationWatches = new Map();
+    this.fileWriter = options.fileWriter || new ReportFileWriter(this.settings.outputDir);
+    this.signal = options.signal || null;
+    this.sleep = options.sleep || sleep;
+    this.store = options.store || null;
+    this.settledIds = new Set();
+    this.fullSync = Boolean(options.fullSync);
+    this.runStartedAt = null;
+    this.reportFormats = parseReportFormats(this.settings.reportFormats);
+    this.reconciliation = null;
+  }
+
+  async generateReport() {
+    const matches = await this.fetchAndMatchDocuments();
+    if (!matches.length) return this.completeRun(matches);
+
+    if (this.dryRun) {
+      Logger.warning('DRY-RUN: er worden geen statussen verstuurd, alleen gesimuleerd.');
+    }
+
+    Logger.header('STAP 1: ANALYSE');
+    const analysis = await this.analyzeAllDocuments(matches);
+    this.printAnalysis(analysis);
+
+    const needsAcknowledge = analysis.filter((a) => a.needsAcknowledge);
+
+    if (needsAcknowledge.length > 0) {
+      Logger.header('STAP 2: ACKNOWLEDGED VERSTUREN');
+      await this.sendAcknowledgedStatuses(needsAcknowledge);
+      await this.verifyPropagation(needsAcknowledge, 'acknowledged', 'acknowledged');
+      if (this.isStopping()) return this.abortRun(matches);
+    } else {
+      Logger.header('STAP 2: ACKNOWLEDGED VERSTUREN');
+      Logger.info('Alle documenten hebben al acknowledged of final status. Overslaan.');
+    }
+
+    Logger.header('STAP 3: ACCEPTED/REJECTED VERSTUREN');
+    // In dry-run is er niets verstuurd, dus de geplande acknowledged documenten meenemen
+    const freshAnalysis = this.dryRun ? analysis : await this.analyzeAllDocuments(matches);
+    const needsFinal = freshAnalysis.filter(
+      (a) => a.needsFinalStatus || (this.dryRun && a.needsAcknowledge)
+    );
+
+    if (needsFinal.length > 0) {
+      await this.sendFinalStatuses(needsFinal);
+      await this.verifyPropagation(needsFinal, 'final', 'final status');
+      if (this.isStopping()) return this.abortRun(matches);
+    } else {
+      Logger.info('Alle documenten hebben al een final status. Overslaan.');
+    }
+
+    Logger.header('EINDRESULTATEN');
+    const model = await this.buildReportModel(matches);
+    this.printReport(model);
+
+    if (!this.dryRun) {
+      Logger.header('PROPAGATIE LATENCY');
+      this.printLatency();
+    }
+
+    Logger.header('RAPPORT OPSLAAN');
+    const reportFiles = this.saveReportToFile(model);
+
+    return this.completeRun(matches, reportFiles);
+  }
+
+  async generateStatusReport() {
+    const matches = await this.fetchAndMatchDocuments();
+    if (!matches.length) return this.completeRun(matches);
+
+    Logger.header('HUIDIGE STATUS');
+    const model = await this.buildReportModel(matches);
+    this.printReport(model);
+
+    Logger.header('RAPPORT OPSLAAN');
+    const reportFiles = this.saveReportToFile(model);
+
+    return this.completeRun(matches, reportFiles);
+  }
+
+  isStopping() {
+    return Boolean(this.signal?.aborted);
+  }
+
+  abortRun(matches) {
+    Logger.warning('Run afgebroken na het huidige document.');
+    return { ...this.getRunSummary(matches), aborted: true };
+  }
+
+  completeRun(matches, reportFiles = []) {
+    // Cursor pas na een geslaagde run opschuiven; een dry-run heeft niets verwerkt
+    if (this.store && this.runStartedAt && !this.dryRun) {
+      const { inbound, outbound } = this.suppliers;
+      this.store.recordCursor('inbound', inbound.id, this.runStartedAt);
+      if (outbound) {
+        this.store.recordCursor('outbound', outbound.id, this.runStartedAt);
+      }
+
+      const latency = this.getLatencyStats();
+      if (latency) {
+        this.store.recordMetrics(outbound?.id, inbound.id, latency);
+      }
+    }
+
+    return this.getRunSummary(matches, reportFiles);
+  }
+
+  getLatencyStats() {
+    const verifications = [...this.processResults.values()]
+      .flatMap((result) => Object.values(result))
+      .filter((result) => result.verification?.propagated)
+      .map((result) => result.verification);
+
+    const stats = summarizeLatencies(verifications.map((verification) => verification.latencyMs));
+    // Grootste pauze tussen twee polls: zoveel kan een gemeten latency te ruim zijn
+    return stats && { ...stats, resolutionMs: Math.max(...verifications.map((v) => v.resolutionMs ?? 0)) };
+  }
+
+  printLatency() {
+    const stats = this.getLatencyStats();
+    if (!stats) {
+      Logger.info('Geen gepropageerde statussen deze run, geen latency gemeten.');
+      return;
+    }
+
+    console.log(`Aantal gemeten                 : ${stats.count}`);
+    for (const key of ['min', 'median', 'p95', 'max']) {
+      console.log(`${key.padEnd(31)}: ${formatDuration(stats[key])}`);
+    }
+    console.log(`Meetresolutie                  : ${formatDuration(stats.resolutionMs)}`);
+
+    const previous = this.store?.getLatestMetrics(this.suppliers.outbound?.id, this.suppliers.inbound.id);
+    if (previous) {
+      const delta = stats.median - previous.median;
+      console.log(
+        `Vorige run                     : median ${formatDuration(previous.median)} op ${previous.recordedAt} ` +
+          `(verschil ${delta >= 0 ? '+' : '-'}${formatDuration(Math.abs(delta))})`
+      );
+    }
+  }
+
+  getChangedSince(direction, supplierId) {
+    if (!this.store || this.fullSync) return null;
+
+    const cursor = this.store.getCursor(direction, supplierId);
+    if (!cursor) return null;
+
+    return new Date(cursor.getTime() - this.settings.cursorOverlapMinutes * 60 * 1000);
+  }
+
+  async fetchInboundForRun() {
+    const supplierId = this.suppliers.inbound.id;
+    const since = this.getChangedSince('inbound', supplierId);
+
+    if (!since) {
+      return this.api.fetchInboundDocuments(supplierId);
+    }
+
+    Logger.info(`Incrementeel: inbound wijzigingen sinds ${since.toISOString()}.`);
+    const changed = await this.api.fetchInboundDocuments(supplierId, since);
+    const changedIds = new Set(changed.map((doc) => doc.id));
+
+    // Nog niet afgeronde documenten uit eerdere runs blijven meedoen, ook zonder wijziging
+    const { finalStatuses } = this.config.businessStatus;
+    const pending = this.store
+      .getDocuments('inbound', supplierId)
+      .filter((doc) => !changedIds.has(doc.id) && !this.store.isSettled(doc.id, null, finalStatuses));
+
+    return [...changed, ...pending];
+  }
+
+  async refreshDocument(direction, documentId) {
+    let inbound = null;
+    let outbound = null;
+
+    if (direction === 'outbound') {
+      outbound = await this.api.fetchOutboundDocument(documentId);
+      this.store?.recordDocument('outbound', outbound, this.suppliers.outbound?.id);
+      const { transmissionId, createdAt } = outbound.attributes;
+      // Het inbound document komt pas na het outbound document binnen: alleen dat venster ophalen
+      inbound = transmissionId
+        ? await this.findInboundDocument((doc) => doc.attributes.transmissionId === transmissionId, new Date(createdAt))
+        : null;
+    } else {
+      inbound = await this.findInboundDocument(
+        (doc) => doc.id === documentId,
+        this.getChangedSince('inbound', this.suppliers.inbound.id)
+      );
+      if (inbound) {
+        outbound = await this.findOutboundCounterpart(inbound);
+      }
+    }
+
+    if (!inbound) {
+      Logger.warning(`Geen bijbehorend inbound document gevonden voor ${direction} document ${documentId}.`);
+      this.printOutboundSection(outbound);
+      return null;
+    }
+
+    const match = { inbound, outbound, transmissionId: inbound.attributes.transmissionId || '-' };
+    const outboundMap = InvoiceReportGenerator.indexByTransmissionId(outbound ? [outbound] : []);
+    const model = await this.buildReportModel([match], '-webhook', outboundMap);
+    this.printReport(model);
+    return this.saveReportToFile(model);
+  }
+
+  async findInboundDocument(predicate, fromDate) {
+    const supplierId = this.suppliers.inbound.id;
+    const fetched = (await this.api.fetchInboundDocuments(supplierId, fromDate)).find(predicate);
+    if (fetched) {
+      this.store?.recordDocument('inbound', fetched, supplierId);
+      return fetched;
+    }
+
+    // Buiten het venster: de laatst bekende versie uit de store gebruiken
+    return this.store?.getDocuments('inbound', supplierId).find(predicate) || null;
+  }
+
+  async findOutboundCounterpart(inbound) {
+    const outboundId = this.store?.matches.get(inbound.id)?.outboundId;
+    if (!outboundId) {
+      return (await this.buildOutboundMap()).get(inbound.attributes.transmissionId) || null;
+    }
+
+    const outbound = await this.api.fetchOutboundDocument(outboundId);
+    this.store.recordDocument('outbound', outbound, this.suppliers.outbound?.id);
+    return outbound;
+  }
+
+  getRunSummary(matches, reportFiles = []) {
+    const summary = {
+      matches: matches.length,
+      acknowledged: 0,
+      accepted: 0,
+      rejected: 0,
+      failed: 0,
+      notPropagated: 0,
+      latency: this.getLatencyStats(),
+      reportFiles,
+    };
+
+    for (const result of this.processResults.values()) {
+      for (const { success, statusCode, verification } of Object.values(result)) {
+        if (!success) {
+          summary.failed++;
+        } else if (statusCode in summary) {
+          summary[statusCode]++;
+        }
+        if (verification && !verification.propagated && !verification.aborted) {
+          summary.notPropagated++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  async fetchAndMatchDocuments() {
+    Logger.info('Inbound documenten ophalen...');
+    this.runStartedAt = new Date();
+    const inboundDocs = await this.fetchInboundForRun();
+
+    if (!inboundDocs.length) {
+      Logger.error('Geen inkomende facturen gevonden.');
+      return [];
+    }
+    Logger.success(`${inboundDocs.length} inbound document(en) gevonden.`);
+
+    // Altijd vastleggen, ook zonder outbound supplier: anders vallen openstaande documenten na de cursor weg
+    if (this.store) {
+      inboundDocs.forEach((doc) => this.store.recordDocument('inbound', doc, this.suppliers.inbound.id));
+    }
+
+    // Zonder outbound supplier valt er niets te matchen: alle inbound documenten verwerken
+    if (!this.suppliers.outbound) {
+      return inboundDocs.map((doc) => ({
+        inbound: doc,
+        outbound: null,
+        transmissionId: doc.attributes.transmissionId || '-',
+      }));
+    }
+
+    // Debug: toon alle inbound transmissionIds
+    Logger.info('Alle inbound transmissionIds:');
+    inboundDocs.forEach((doc, idx) => {
+      const transId = doc.attributes?.transmissionId || 'GEEN';
+      Logger.info(`  ${idx + 1}. ${doc.id} → transmissionId: ${transId}`);
+    });
+    Logger.blank();
+
+    Logger.info('Outbound documenten ophalen...');
+    const outboundDocs = await this.fetchOutboundForRun();
+    const outboundMap = InvoiceReportGenerator.indexByTransmissionId(outboundDocs);
+    Logger.info(`${outboundMap.size} outbound document(en) gevonden.`);
+    
+    // Debug: toon alle outbound transmissionIds
+    if (outboundMap.size > 0) {
+      Logger.info('Alle outbound transmissionIds:');
+      let count = 0;
+      for (const [transId, doc] of outboundMap.entries()) {
+        count++;
+        Logger.info(`  ${count}. ${doc.id} → transmissionId: ${transId}`);
+      }
+      Logger.blank();
+    } else {
+      Logger.warning('Geen outbound documenten gevonden in de lookback periode.');
+      Logger.blank();
+    }
+    
+    const matches = this.findMatches(inboundDocs, outboundMap);
+    matches.forEach((match) => this.store?.recordMatch(match));
+
+    this.reconciliation = this.reconcile(inboundDocs, outboundDocs);
+    this.printReconciliation(this.reconciliation);
+
+    if (!matches.length) {
+      Logger.error('Geen matches gevonden.');
+      Logger.info(`Outbound documenten ouder dan lookbackDays (${this.settings.lookbackDays} dagen) worden niet meegenomen.`);
+      return [];
+    }
+    Logger.success(`${matches.length} match(es) gevonden.`);
+
+    return matches;
+  }
+
+  async analyzeAllDocuments(matches) {
+    const results = [];
+    const { finalStatuses } = this.config.businessStatus;
+
+    for (const match of matches) {
+      const settled = this.store?.isSettled(match.inbound.id, match.outbound, finalStatuses);
+      if (settled) {
+        this.settledIds.add(match.inbound.id);
+      }
+
+      const analysis = settled
+        ? await this.statusManager.analyzeDocument(match.inbound.id, this.store.getStatuses(match.inbound.id))
+        : await this.statusManager.analyzeDocument(match.inbound.id);
+      this.store?.recordStatuses(match.inbound.id, analysis.statuses);
+      const outboundBusinessState = match.outbound?.attributes.businessStatus || null;
+
+      // Inbound statuses zijn leidend - outbound check alleen voor informatieve doeleinden
+      results.push({
+        documentId: match.inbound.id,
+        transmissionId: match.transmissionId,
+        match,
+        ...analysis,
+        outboundBusinessState,
+      });
+    }
+
+    return results;
+  }
+
+  printAnalysis(analysis) {
+    console.log('Huidige status overzicht:');
+    Logger.separator();
+
+    for (const item of analysis) {
+      const inboundStatus =
+        item.existingCodes.length > 0 ? item.existingCodes.join(', ') : 'geen';
+      const outboundStatus = item.outboundBusinessState || '-';
+
+      let action = '';
+      if (this.settledIds.has(item.documentId)) {
+        action = '→ Compleet (uit lokale store, niet opnieuw opgehaald)';
+      } else if (item.isComplete) {
+        action = '→ Compleet (geen actie nodig)';
+      } else if (item.needsAcknowledge) {
+        action = '→ Needs: acknowledged + final';
+      } else if (item.needsFinalStatus) {
+        action = '→ Needs: final status';
+      }
+
+      console.log(`  ${item.documentId}`);
+      console.log(`    Inbound Status: [${inboundStatus}]`);
+      console.log(`    Outbound Business State: ${outboundStatus}`);
+      console.log(`    ${action}`);
+    }
+
+    Logger.separator();
+  }
+
+  async sendStatuses(documents, phase, getDecision, getLabel) {
+    console.log(getLabel());
+    Logger.separator();
+
+    let successCount = 0;
+
+    for (const doc of documents) {
+      if (this.isStopping()) {
+        Logger.warning('Stoppen aangevraagd, resterende documenten overgeslagen.');
+        break;
+      }
+
+      const decision = await getDecision(doc);
+
+      if (!decision) {
+        console.log(`  ⏭️  ${doc.documentId} → geen beslisregel van toepassing, overgeslagen`);
+        continue;
+      }
+
+      const { code: statusCode, rule } = decision;
+
+      if (this.dryRun) {
+        successCount++;
+        this.storeResult(doc.documentId, phase, {
+          success: true,
+          dryRun: true,
+          statusCode,
+          rule,
+          reason: doc.reason,
+        });
+        this.store?.recordDecision(doc.documentId, phase, this.processResults.get(doc.documentId)[phase]);
+        console.log(`  📝 ${doc.documentId} → ${statusCode} (gepland, ${rule ? `regel: ${rule}` : doc.reason})`);
+        continue;
+      }
+
+      const result = { ...(await this.statusManager.sendStatus(doc.documentId, statusCode, doc.statuses)), rule };
+      this.storeResult(doc.documentId, phase, result);
+      this.store?.recordDecision(doc.documentId, phase, result);
+      if (result.success) {
+        this.store?.recordStatuses(
+          doc.documentId,
+          [{ id: result.statusId, attributes: { code: statusCode, technicalStatus: result.technicalStatus } }],
+          'sent'
+        );
+        this.watchPropagation(doc, phase);
+      }
+
+      if (result.success) {
+        successCount++;
+        const emoji = statusCode === 'accepted' ? '👍' : statusCode === 'rejected' ? '👎' : '✅';
+        console.log(
+          `  ${emoji} ${doc.documentId} → ${statusCode} (technical: ${result.technicalStatus})` +
+            (rule ? ` [regel: ${rule}]` : '')
+        );
+      } else {
+        console.log(`  ❌ ${doc.documentId} → FOUT: ${result.error}`);
+      }
+    }
+
+    Logger.separator();
+    return successCount;
+  }
+
+  async sendAcknowledgedStatuses(documents) {
+    return this.sendStatuses(
+      documents,
+      'acknowledged',
+      () => ({ code: this.config.businessStatus.codes.ACKNOWLEDGED, rule: null }),
+      () => 'Acknowledged versturen:'
+    );
+  }
+
+  async sendFinalStatuses(documents) {
+    return this.sendStatuses(
+      documents,
+      'final',
+      async (doc) => {
+        const invoice = await this.fetchXmlDetailsSafe(doc.documentId);
+        return this.statusManager.decideFinalStatus({ documentId: doc.documentId, invoice, analysis: doc });
+      },
+      () => `Final statuses versturen (strategie: ${this.decisionEngine.name}):`
+    );
+  }
+
+  storeResult(documentId, phase, result) {
+    if (!this.processResults.has(documentId)) {
+      this.processResults.set(documentId, {});
+    }
+    this.processResults.get(documentId)[phase] = result;
+  }
+
+  // Direct na de POST gaan pollen: zo meet de latency de propagatie, niet de rest van de batch of het pollinterval
+  watchPropagation(doc, phase) {
+    if (!doc.match?.outbound) return;
+
+    // Een nieuwe status voor hetzelfde document vervangt de lopende watch
+    const watch = { phase };
+    this.propagationWatches.set(doc.documentId, watch);
+    watch.promise = this.pollPropagation(doc, watch);
+  }
+
+  async pollPropagation(doc, watch) {
+    const result = this.processResults.get(doc.documentId)[watch.phase];
+    const outboundId = doc.match.outbound.id;
+    const { verificationTimeout, verificationInterval, verificationInitialInterval } = this.settings;
+    const startedAt = Date.now();
+    let lastPolledAt = startedAt;
+    let interval = verificationInitialInterval;
+    let observed = null;
+    let timedOut = false;
+
+    while (!this.isStopping() && this.propagationWatches.get(doc.documentId) === watch) {
+      try {
+        const outbound = await this.api.fetchOutboundDocument(outboundId);
+        observed = outbound.attributes.businessStatus || null;
+      } catch (error) {
+        Logger.warning(`Outbound document ${outboundId} ophalen mislukt: ${error.message}`);
+      }
+
+      const polledAt = new Date();
+      if (observed === result.statusCode) {
+        return {
+          propagated: true,
+          observed,
+          elapsedMs: polledAt - startedAt,
+          statusCreatedAt: result.createdAt,
+          observedAt: polledAt.toISOString(),
+          latencyMs: Math.max(0, polledAt - new Date(result.createdAt)),
+          // De status werd zichtbaar tussen de vorige en deze poll
+          resolutionMs: polledAt - lastPolledAt,
+        };
+      }
+
+      if (polledAt - startedAt >= verificationTimeout) {
+        timedOut = true;
+        break;
+      }
+      lastPolledAt = polledAt;
+      await this.sleep(interval, this.signal);
+      interval = Math.min(interval * 2, verificationInterval);
+    }
+
+    return {
+      propagated: false,
+      // Afgebroken door shutdown: de timeout is niet afgewacht, dus dit zegt niets over de propagatie
+      aborted: !timedOut && this.isStopping(),
+      observed,
+      elapsedMs: Date.now() - startedAt,
+      statusCreatedAt: result.createdAt,
+      observedAt: null,
+      latencyMs: null,
+      resolutionMs: null,
+    };
+  }
+
+  async verifyPropagation(documents, phase, label) {
+    Logger.blank();
+    if (this.dryRun) {
+      Logger.info(`Dry-run: verificatie na ${label} overgeslagen.`);
+      return 0;
+    }
+
+    // Alleen documenten waarvoor deze run iets is verstuurd en die een outbound tegenhanger hebben
+    const watched = documents
+      .map((doc) => ({ doc, watch: this.propagationWatches.get(doc.documentId) }))
+      .filter(({ watch }) => watch?.phase === phase);
+    if (!watched.length) {
+      Logger.info(`Geen ${label} verstuurd naar gematchte outbound documenten. Verificatie overgeslagen.`);
+      return 0;
+    }
+
+    Logger.info(
+      `Verificatie: wachten tot ${watched.length} outbound document(en) ${label} tonen ` +
+        `(max ${this.settings.verificationTimeout / 1000}s per document)...`
+    );
+
+    let propagatedCount = 0;
+    for (const { doc, watch } of watched) {
+      const result = this.processResults.get(doc.documentId)[phase];
+      const outboundId = doc.match.outbound.id;
+      result.verification = await watch.promise;
+      this.propagationWatches.delete(doc.documentId);
+      if (!result.verification.aborted) {
+        this.store?.recordVerification(doc.documentId, phase, result.verification);
+      }
+
+      if (result.verification.propagated) {
+        propagatedCount++;
+        console.log(
+          `  ✅ ${doc.documentId} → outbound ${outboundId}: ${result.statusCode} ` +
+            `(latency ${formatDuration(result.verification.latencyMs)})`
+        );
+      } else {
+        console.log(
+          `  ⚠️  ${doc.documentId} → outbound ${outboundId}: ${result.verification.observed || '-'}, ` +
+            `verwacht ${result.statusCode} (${result.verification.aborted ? 'verificatie afgebroken' : 'niet gepropageerd'})`
+        );
+      }
+    }
+
+    Logger.separator();
+    return propagatedCount;
+  }
+
+  async buildOutboundMap() {
+    return InvoiceReportGenerator.indexByTransmissionId(await this.fetchOutboundForRun());
+  }
+
+  static indexByTransmissionId(docs) {
+    return new Map(
+      docs.filter((doc) => doc.attributes.transmissionId).map((doc) => [doc.attributes.transmissionId, doc])
+    );
+  }
+
+  async fetchOutboundForRun() {
+    if (!this.suppliers.outbound) return [];
+
+    const supplierId = this.suppliers.outbound.id;
+    const lookbackDate = daysAgo(this.settings.lookbackDays);
+    const since = this.getChangedSince('outbound', supplierId);
+    const fromDate = since && since > lookbackDate ? since : lookbackDate;
+
+    const outboundDocs = await this.api.fetchOutboundDocuments(supplierId, fromDate);
+    outboundDocs.forEach((doc) => this.store?.recordDocument('outbound', doc, supplierId));
+
+    // Incrementeel: documenten binnen de lookback periode die niet gewijzigd zijn komen uit de store
+    const knownDocs = fromDate > lookbackDate ? this.store.getDocuments('outbound', supplierId, lookbackDate) : [];
+    const fetchedIds = new Set(outboundDocs.map((doc) => doc.id));
+
+    return [...knownDocs.filter((doc) => !fetchedIds.has(doc.id)), ...outboundDocs];
+  }
+
+  findMatches(inboundDocs, outboundMap) {
+    return inboundDocs
+      .filter((doc) => outboundMap.has(doc.attributes.transmissionId))
+      .map((inDoc) => ({
+        inbound: inDoc,
+        outbound: outboundMap.get(inDoc.attributes.transmissionId),
+        transmissionId: inDoc.attributes.transmissionId,
+      }));
+  }
+
+  reconcile(inboundDocs, outboundDocs) {
+    // Incrementeel bevat inboundDocs alleen de wijzigingen; eerder vastgelegde inbound documenten tellen ook mee
+    const knownInbound = this.store?.getDocuments('inbound', this.suppliers.inbound.id) || [];
+    const inboundTransmissionIds = new Set(
+      [...knownInbound, ...inboundDocs].map((doc) => doc.attributes.transmissionId).filter(Boolean)
+    );
+    const outboundTransmissionIds = new Set(outboundDocs.map((doc) => doc.attributes.transmissionId).filter(Boolean));
+    // Outbound beslaat alleen de lookback periode: oudere inbound documenten hebben daar nooit een tegenhanger
+    const lookbackDate = daysAgo(this.settings.lookbackDays);
+    const recentInbound = inboundDocs.filter((doc) => new Date(doc.attributes.createdAt) >= lookbackDate);
+    const describe = (direction) => ({ id, attributes }) => ({
+      direction,
+      id,
+      transmissionId: attributes.transmissionId || null,
+      createdAt: attributes.createdAt,
+      ageHours: Math.floor((Date.now() - new Date(attributes.createdAt)) / 3600000),
+      technicalState: attributes.technicalStatus || '-',
+      businessState: attributes.businessStatus || '-',
+    });
+
+    return {
+      outboundOnly: outboundDocs
+        .filter((doc) => doc.attributes.transmissionId && !inboundTransmissionIds.has(doc.attributes.transmissionId))
+        .map(describe('outbound')),
+      inboundOnly: recentInbound
+        .filter((doc) => doc.attributes.transmissionId && !outboundTransmissionIds.has(doc.attributes.transmissionId))
+        .map(describe('inbound')),
+      missingTransmissionId: [
+        ...outboundDocs.filter((doc) => !doc.attributes.transmissionId).map(describe('outbound')),
+        ...recentInbound.filter((doc) => !doc.attributes.transmissionId).map(describe('inbound')),
+      ],
+    };
+  }
+
+  printReconciliation(reconciliation) {
+    if (!hasReconciliationFindings(reconciliation)) return;
+
+    Logger.header('RECONCILIATIE');
+    formatReconciliation(reconciliation).forEach((line) => console.log(line));
+  }
+
+  // Eén keer per run opbouwen: console en rapportbestanden tonen zo dezelfde toestand
+  async buildReportModel(matches, label = '', outboundMap = null) {
+    const freshOutboundMap = outboundMap || (await this.buildOutboundMap());
+    const { outbound: outboundSupplier, inbound: inboundSupplier } = this.suppliers;
+    const entries = [];
+
+    for (const match of matches) {
+      const outbound = freshOutboundMap.get(match.transmissionId) || match.outbound;
+      const [document, inboundStatuses] = await Promise.all([
+        this.fetchXmlDetailsSafe(match.inbound.id),
+        this.fetchBusinessStatusSafe(match.inbound.id),
+      ]);
+      const inboundStatus = StatusResolver.getLatestStatus(inboundStatuses);
+
+      entries.push({
+        document: {
+          documentType: document.documentType,
+          isCreditNote: document.isCreditNote,
+          invoiceNumber: document.invoiceNumber,
+          description: document.description,
+          issueDate: document.issueDate,
+          billingReference: document.billingReference ?? null,
+          payableAmount: document.payableAmount ?? null,
+          currency: document.currency ?? null,
+        },
+        outbound: outbound && {
+          supplierName: outboundSupplier.name,
+          supplierId: outboundSupplier.id,
+          id: outbound.id,
+          createdAt: outbound.attributes.createdAt,
+          technicalState: outbound.attributes.technicalStatus || '-',
+          businessState: outbound.attributes.businessStatus || '-',
+        },
+        transmissionId: match.transmissionId,
+        inbound: {
+          supplierName: inboundSupplier.name,
+          supplierId: inboundSupplier.id,
+          id: match.inbound.id,
+          createdAt: match.inbound.attributes.createdAt,
+          technicalState: inboundStatus.technicalStatus,
+          businessState: inboundStatus.code,
+          statuses: inboundStatuses.map(({ attributes }) => ({
+            code: attributes.code,
+            technicalStatus: attributes.technicalStatus || null,
+            createdAt: attributes.createdAt,
+          })),
+        },
+        actions: this.processResults.get(match.inbound.id) || {},
+      });
+    }
+    entries.sort((a, b) => InvoiceReportGenerator.compareInvoiceNumbers(a.document, b.document));
+
+    // Geen tijdstempel in het model: de bestandsnaam draagt die al en zo blijft "ongewijzigd" detecteerbaar
+    return {
+      label: label.replace(/^-/, '') || null,
+      dryRun: this.dryRun,
+      suppliers: { outbound: outboundSupplier, inbound: inboundSupplier },
+      entries,
+      reconciliation: this.reconciliation,
+      latency: this.getLatencyStats(),
+    };
+  }
+
+  static compareInvoiceNumbers(a, b) {
+    const numA = parseInt(a.invoiceNumber, 10);
+    const numB = parseInt(b.invoiceNumber, 10);
+    return !isNaN(numA) && !isNaN(numB) ? numA - numB : a.invoiceNumber.localeCompare(b.invoiceNumber);
+  }
+
+  printReport(model) {
+    // Reconciliatie en latency hebben op de console een eigen sectie
+    console.log(ReportFormatters.text.render({ ...model, reconciliation: null, latency: null }));
+  }
+
+  saveReportToFile(model) {
+    const label = model.label ? `-${model.label}` : '';
+    this.fileWriter.init(`${label}${this.dryRun ? '-dry-run' : ''}`);
+
+    const reportFiles = [];
+    for (const format of this.reportFormats) {
+      const formatter = ReportFormatters[format];
+      const filename = this.fileWriter.save(formatter.render(model), formatter.extension);
+      if (filename) {
+        reportFiles.push(filename);
+        Logger.success(`Rapport opgeslagen: ${filename}`);
+      }
+    }
+
+    if (!reportFiles.length) {
+      Logger.info('Rapport ongewijzigd sinds vorige run, niet opnieuw opgeslagen.');
+    }
+    return reportFiles;
+  }
+
+  async fetchXmlDetailsSafe(docId) {
+    // Afgeronde documenten veranderen niet meer: de factuurgegevens uit de store zijn voldoende
+    const stored = this.settledIds.has(docId) ? this.store.getInvoice(docId) : null;
+    if (stored) return stored;
+
+    try {
+      const xml = await this.api.fetchDocumentXml(docId);
+      const details = XmlParser.parseInvoiceDetails(xml);
+      this.store?.recordInvoice(docId, details);
+      return details;
+    } catch {
+      return {
+        documentType: null,
+        isCreditNote: false,
+        invoiceNumber: 'Error',
+        description: 'Error',
+        issueDate: null,
+        error: true,
+      };
+    }
+  }
+
+  async fetchBusinessStatusSafe(docId) {
+    if (this.settledIds.has(docId)) {
+      return this.store.getStatuses(docId);
+    }
+
+    try {
+      const statuses = await this.api.fetchInboundBusinessStatuses(docId);
+      this.store?.recordStatuses(docId, statuses);
+      return statuses;
+    } catch {
+      return [];
+    }
+  }
+
+  printOutboundSection(doc) {
+    if (!doc) return;
+
+    const { outbound } = this.suppliers;
+    const { id, attributes } = doc;
+
+    console.log(`Outbound Supplier name         : ${outbound.name}`);
+    console.log(`Outbound Supplier ID           : ${outbound.id}`);
+    console.log(`Outbound FactuurID             : ${id}`);
+    console.log(`Outbound Created DateTime      : ${attributes.createdAt}`);
+    console.log(`Outbound technical-state       : ${attributes.technicalStatus || '-'}`);
+    console.log(`Outbound business-state        : ${attributes.businessStatus || '-'}`);
+    Logger.blank();
+  }
+}
+
+export { InvoiceReportGenerator };
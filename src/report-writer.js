@@ -0,0 +1,33 @@
+import fs from 'fs';
+import path from 'path';
+import { formatTimestamp } from './utils.js';
+
+class ReportFileWriter {
+  constructor(outputDir, { onlyIfChanged = false } = {}) {
+    this.outputDir = outputDir;
+    this.onlyIfChanged = onlyIfChanged;
+    this.basename = null;
+    this.lastSavedContent = new Map();
+  }
+
+  init(suffix = '') {
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+    this.basename = path.join(this.outputDir, `${formatTimestamp()}${suffix}`);
+  }
+
+  save(content, extension = 'txt') {
+    // Per formaat vergelijken, zodat een ongewijzigd rapport in watch mode niet opnieuw wordt geschreven
+    if (this.onlyIfChanged && content === this.lastSavedContent.get(extension)) {
+      return null;
+    }
+
+    const filename = `${this.basename}.${extension}`;
+    fs.writeFileSync(filename, content, 'utf8');
+    this.lastSavedContent.set(extension, content);
+    return filename;
+  }
+}
+
+export { ReportFileWriter };
@@ -0,0 +1,280 @@
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger.js';
+import { sleep, formatDuration } from './utils.js';
+import { TestInvoiceSender } from './test-invoice-sender.js';
+import { InvoiceReportGenerator } from './report-generator.js';
+import { StatusStateMachine } from './business-status.js';
+
+function loadScenario(file, businessStatus) {
+  const filePath = path.resolve(file);
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Scenario niet gevonden: ${filePath}`);
+  }
+
+  const scenario = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(scenario.invoices) || !scenario.invoices.length) {
+    throw new Error(`Geen facturen gedefinieerd in ${filePath}`);
+  }
+
+  const { codes, allStatuses } = businessStatus;
+  const stateMachine = StatusStateMachine.fromConfig(businessStatus);
+  const invoices = scenario.invoices.flatMap((invoice, index) => {
+    const expect = invoice.expect || codes.ACCEPTED;
+    if (!allStatuses.includes(expect)) {
+      throw new Error(`Factuur ${index + 1}: onbekende verwachte status "${expect}" in ${filePath}`);
+    }
+    // De runner stuurt eerst acknowledged: een andere verwachte status moet daarna nog toegestaan zijn
+    if (expect !== codes.ACKNOWLEDGED && !stateMachine.canTransition(codes.ACKNOWLEDGED, expect)) {
+      const allowed = stateMachine.allowedFrom(codes.ACKNOWLEDGED).join(', ');
+      throw new Error(
+        `Factuur ${index + 1}: verwachte status "${expect}" is niet bereikbaar na ${codes.ACKNOWLEDGED} ` +
+          `in ${filePath}. Toegestaan: ${allowed}`
+      );
+    }
+    return Array.from({ length: invoice.count ?? 1 }, () => ({ ...invoice, expect }));
+  });
+
+  return {
+    name: scenario.name || path.basename(filePath, '.json'),
+    invoices,
+    timeouts: { inboundSeconds: 900, propagationSeconds: 300, ...scenario.timeouts },
+    pollSeconds: scenario.pollSeconds ?? 15,
+  };
+}
+
+class ScenarioRunner {
+  constructor(apiService, scenario, options = {}) {
+    this.api = apiService;
+    this.scenario = scenario;
+    this.config = apiService.config;
+    this.store = options.store || null;
+    this.suppliers = options.suppliers || this.config.suppliers;
+    this.sender = new TestInvoiceSender(apiService, { store: this.store, supplier: this.suppliers.outbound });
+    this.generator = new InvoiceReportGenerator(apiService, {
+      suppliers: this.suppliers,
+      store: this.store,
+      settings: {
+        verificationTimeout: scenario.timeouts.propagationSeconds * 1000,
+        verificationInterval: scenario.pollSeconds * 1000,
+        ...options.settings,
+      },
+    });
+    this.results = [];
+  }
+
+  record(item, step, passed, detail) {
+    this.results.push({ invoiceNumber: item.invoiceNumber, step, passed, detail });
+    console.log(`  ${passed ? '✅' : '❌'} ${item.invoiceNumber || '-'} ${step.padEnd(12)} ${detail}`);
+  }
+
+  async run() {
+    const items = this.scenario.invoices.map((invoice) => ({ invoice, invoiceNumber: null }));
+
+    Logger.header(`SCENARIO: ${this.scenario.name} (${items.length} factu(u)r(en))`);
+    const startedAt = new Date();
+
+    Logger.header('STAP 1: VERSTUREN');
+    await this.sendInvoices(items);
+
+    Logger.header('STAP 2: WACHTEN OP INBOUND');
+    await this.waitForInbound(items.filter((item) => item.outboundId), startedAt);
+
+    Logger.header('STAP 3: STATUSSEN VERSTUREN');
+    const matched = items.filter((item) => item.match);
+    await this.sendStatuses(matched);
+
+    Logger.header('STAP 4: OUTBOUND BUSINESS STATUS CONTROLEREN');
+    await this.verifyOutbound(matched.filter((item) => item.sent));
+
+    for (const item of items) {
+      const skipped = ['send', 'inbound', 'status', 'verify'].filter(
+        (step) => !this.results.some((r) => r.invoiceNumber === item.invoiceNumber && r.step === step)
+      );
+      // Een eerder gefaalde stap maakt de rest van de keten onuitvoerbaar
+      skipped.forEach((step) =>
+        this.results.push({ invoiceNumber: item.invoiceNumber, step, passed: false, detail: 'overgeslagen' })
+      );
+    }
+
+    return this.summarize();
+  }
+
+  async sendInvoices(items) {
+    let invoiceNumber = this.sender.nextInvoiceNumber();
+
+    for (const item of items) {
+      item.invoiceNumber = invoiceNumber;
+      invoiceNumber = String(Number(invoiceNumber) + 1);
+
+      try {
+        const { documentId } = await this.sender.send({
+          invoiceNumber: item.invoiceNumber,
+          amount: item.invoice.amount,
+          note: item.invoice.note,
+        });
+        item.outboundId = documentId;
+        this.record(item, 'send', true, `outbound document ${documentId}, verwacht ${item.invoice.expect}`);
+      } catch (error) {
+        this.record(item, 'send', false, error.response?.data?.errors?.[0]?.detail || error.message);
+      }
+    }
+  }
+
+  async waitForInbound(items, startedAt) {
+    const deadline = Date.now() + this.scenario.timeouts.inboundSeconds * 1000;
+    const since = new Date(startedAt.getTime() - this.config.settings.cursorOverlapMinutes * 60 * 1000);
+    let pending = items;
+
+    while (pending.length) {
+      // Eén onbereikbaar document mag de andere niet blokkeren: fouten per item vastleggen en doorgaan
+      const fetched = await Promise.allSettled(pending.map((item) => this.api.fetchOutboundDocument(item.outboundId)));
+      const outboundDocs = [];
+      fetched.forEach((outcome, index) => {
+        if (outcome.status === 'fulfilled') {
+          outboundDocs.push(outcome.value);
+          pending[index].lastError = null;
+        } else {
+          pending[index].lastError = outcome.reason.message;
+          Logger.warning(`Outbound document ${pending[index].outboundId} ophalen mislukt: ${outcome.reason.message}`);
+        }
+      });
+
+      const outboundMap = InvoiceReportGenerator.indexByTransmissionId(outboundDocs);
+      let inboundDocs = [];
+      if (outboundMap.size) {
+        try {
+          inboundDocs = await this.api.fetchInboundDocuments(this.suppliers.inbound.id, since);
+        } catch (error) {
+          Logger.warning(`Inbound documenten ophalen mislukt, volgende poging na het pollinterval: ${error.message}`);
+        }
+      }
+
+      for (const match of this.generator.findMatches(inboundDocs, outboundMap)) {
+        const item = pending.find((candidate) => candidate.outboundId === match.outbound.id);
+        item.match = match;
+        this.store?.recordMatch(match);
+        const seconds = Math.round((Date.now() - startedAt) / 1000);
+        this.record(
+          item,
+          'inbound',
+          true,
+          `inbound document ${match.inbound.id} na ${seconds}s (${match.transmissionId})`
+        );
+      }
+
+      pending = pending.filter((item) => !item.match);
+      if (!pending.length || Date.now() >= deadline) break;
+      await sleep(this.scenario.pollSeconds * 1000);
+    }
+
+    for (const item of pending) {
+      this.record(
+        item,
+        'inbound',
+        false,
+        `niet binnen ${this.scenario.timeouts.inboundSeconds}s inbound aangekomen` +
+          (item.lastError ? ` (laatste fout: ${item.lastError})` : '')
+      );
+    }
+  }
+
+  async sendStatuses(items) {
+    const { ACKNOWLEDGED } = this.config.businessStatus.codes;
+    const toDocument = (item) => ({ documentId: item.match.inbound.id, match: item.match, reason: 'scenario' });
+
+    await this.generator.sendStatuses(
+      items.map(toDocument),
+      'acknowledged',
+      () => ({ code: ACKNOWLEDGED, rule: 'scenario' }),
+      () => 'Acknowledged versturen:'
+    );
+
+    const needsFinal = items.filter(
+      (item) => item.invoice.expect !== ACKNOWLEDGED && this.phaseResult(item, 'acknowledged')?.success
+    );
+    await this.generator.sendStatuses(
+      needsFinal.map(toDocument),
+      'final',
+      (doc) => ({
+        code: items.find((item) => item.match.inbound.id === doc.documentId).invoice.expect,
+        rule: 'scenario',
+      }),
+      () => 'Verwachte final statuses versturen:'
+    );
+
+    for (const item of items) {
+      const phase = item.invoice.expect === ACKNOWLEDGED ? 'acknowledged' : 'final';
+      const result = this.phaseResult(item, phase) || this.phaseResult(item, 'acknowledged');
+      item.sent = Boolean(result?.success && result.statusCode === item.invoice.expect);
+      item.phase = phase;
+      this.record(
+        item,
+        'status',
+        item.sent,
+        item.sent ? `${item.invoice.expect} verstuurd` : result?.error || 'niet verstuurd'
+      );
+    }
+  }
+
+  async verifyOutbound(items) {
+    for (const phase of new Set(items.map((item) => item.phase))) {
+      await this.generator.verifyPropagation(
+        items
+          .filter((item) => item.phase === phase)
+          .map((item) => ({ documentId: item.match.inbound.id, match: item.match })),
+        phase,
+        phase === 'final' ? 'final status' : phase
+      );
+    }
+
+    for (const item of items) {
+      const { verification } = this.phaseResult(item, item.phase);
+      this.record(
+        item,
+        'verify',
+        verification.propagated,
+        verification.propagated
+          ? `outbound ${item.outboundId} toont ${item.invoice.expect} (latency ${formatDuration(verification.latencyMs)})`
+          : `outbound ${item.outboundId} toont ${verification.observed || '-'}, verwacht ${item.invoice.expect}` +
+              (verification.aborted ? ' (verificatie afgebroken)' : '')
+      );
+    }
+  }
+
+  phaseResult(item, phase) {
+    return this.generator.processResults.get(item.match.inbound.id)?.[phase];
+  }
+
+  summarize() {
+    const failed = this.results.filter((result) => !result.passed);
+
+    Logger.header('SCENARIO RESULTAAT');
+    console.log(`${'Factuur'.padEnd(12)}${['send', 'inbound', 'status', 'verify'].map((s) => s.padStart(10)).join('')}`);
+    Logger.separator();
+    for (const invoiceNumber of new Set(this.results.map((result) => result.invoiceNumber))) {
+      const cells = ['send', 'inbound', 'status', 'verify'].map((step) => {
+        const result = this.results.find((r) => r.invoiceNumber === invoiceNumber && r.step === step);
+        return (result.passed ? 'PASS' : 'FAIL').padStart(10);
+      });
+      console.log(`${String(invoiceNumber || '-').padEnd(12)}${cells.join('')}`);
+    }
+    Logger.separator();
+
+    if (failed.length) {
+      Logger.error(`Scenario gefaald: ${failed.length} van ${this.results.length} stap(pen) niet geslaagd.`);
+    } else {
+      Logger.success(`Scenario geslaagd: alle ${this.results.length} stappen geslaagd.`);
+    }
+
+    return {
+      name: this.scenario.name,
+      passed: !failed.length,
+      results: this.results,
+      latency: this.generator.getLatencyStats(),
+    };
+  }
+}
+
+export { loadScenario, ScenarioRunner };
@@ -0,0 +1,127 @@
+const CronExpression = {
+  fields: [
+    { name: 'minuut', min: 0, max: 59 },
+    { name: 'uur', min: 0, max: 23 },
+    { name: 'dag', min: 1, max: 31 },
+    { name: 'maand', min: 1, max: 12 },
+    { name: 'weekdag', min: 0, max: 7 },
+  ],
+
+  parseField(field, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+      const [range, stepText] = part.split('/');
+      const step = stepText ? Number(stepText) : 1;
+      let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+      if (to === undefined) to = stepText ? max : from;
+
+      if ([from, to, step].some(Number.isNaN) || from < min || to > max || from > to || step < 1) {
+        throw new Error(`Ongeldig cron veld voor ${name}: "${field}"`);
+      }
+      for (let value = from; value <= to; value += step) {
+        values.add(name === 'weekdag' ? value % 7 : value);
+      }
+    }
+
+    return values;
+  },
+
+  parse(expression) {
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Cron expressie moet 5 velden hebben: "${expression}"`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+      this.parseField(part, this.fields[index])
+    );
+
+    return {
+      minutes,
+      hours,
+      days,
+      months,
+      weekdays,
+      daysRestricted: parts[2] !== '*',
+      weekdaysRestricted: parts[4] !== '*',
+    };
+  },
+
+  matchesDay(cron, date) {
+    const dayMatch = cron.days.has(date.getDate());
+    const weekdayMatch = cron.weekdays.has(date.getDay());
+
+    // Standaard cron gedrag: bij zowel dag als weekdag volstaat één van beide
+    if (cron.daysRestricted && cron.weekdaysRestricted) return dayMatch || weekdayMatch;
+    if (cron.daysRestricted) return dayMatch;
+    if (cron.weekdaysRestricted) return weekdayMatch;
+    return true;
+  },
+
+  next(cron, from = new Date()) {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(from);
+    limit.setFullYear(limit.getFullYear() + 1);
+
+    while (date <= limit) {
+      if (
+        cron.months.has(date.getMonth() + 1) &&
+        this.matchesDay(cron, date) &&
+        cron.hours.has(date.getHours()) &&
+        cron.minutes.has(date.getMinutes())
+      ) {
+        return date;
+      }
+      date.setMinutes(date.getMinutes() + 1);
+    }
+
+    throw new Error('Cron expressie levert binnen een jaar geen volgende run op');
+  },
+};
+
+function createSchedule({ cron, intervalSeconds, jitterSeconds }) {
+  const jitter = (maxSeconds = jitterSeconds) => Math.round(Math.random() * maxSeconds * 1000);
+
+  if (cron) {
+    const parsed = CronExpression.parse(cron);
+    return {
+      description: `cron "${cron}"`,
+      nextRun: (from) => new Date(CronExpression.next(parsed, from).getTime() + jitter()),
+    };
+  }
+
+  if (!Number.isFinite(intervalSeconds) || intervalSeconds <= 0) {
+    throw new Error(`Ongeldig interval: ${intervalSeconds}`);
+  }
+
+  // Jitter hooguit 10% van het interval, anders schuiven korte intervallen onvoorspelbaar uit
+  const intervalJitter = Math.min(jitterSeconds, intervalSeconds * 0.1);
+  return {
+    description: `elke ${intervalSeconds} seconden`,
+    nextRun: (from) => new Date(from.getTime() + intervalSeconds * 1000 + jitter(intervalJitter)),
+  };
+}
+
+function printHeartbeat(cycle, startedAt, summaries, nextRun) {
+  const totals = summaries.reduce(
+    (acc, summary) => ({
+      matches: acc.matches + (summary.matches || 0),
+      sent: acc.sent + (summary.acknowledged || 0) + (summary.accepted || 0) + (summary.rejected || 0),
+      failed: acc.failed + (summary.failed || 0) + (summary.error ? 1 : 0),
+    }),
+    { matches: 0, sent: 0, failed: 0 }
+  );
+  const duration = ((Date.now() - startedAt) / 1000).toFixed(1);
+
+  console.log(
+    `💓 ${new Date().toISOString()} cyclus ${cycle} (${duration}s): ${totals.matches} match(es), ` +
+      `${totals.sent} verstuurd, ${totals.failed} fout(en)` +
+      (nextRun ? `, volgende run ${nextRun.toISOString()}` : '')
+  );
+}
+
+export { CronExpression, createSchedule, printHeartbeat };
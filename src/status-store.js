@@ -0,0 +1,275 @@
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger.js';
+
+class StatusStore {
+  constructor(filename) {
+    this.filename = filename;
+    this.documents = new Map();
+    this.invoices = new Map();
+    this.matches = new Map();
+    this.statuses = new Map();
+    this.decisions = new Map();
+    this.history = new Map();
+    this.cursors = new Map();
+    this.metrics = [];
+    this.sent = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filename)) return;
+
+    const lines = fs.readFileSync(this.filename, 'utf8').split('\n');
+    for (const [index, line] of lines.entries()) {
+      if (!line.trim()) continue;
+      try {
+        this.index(JSON.parse(line));
+      } catch {
+        Logger.warning(`Store regel ${index + 1} in ${this.filename} is ongeldig, overgeslagen.`);
+      }
+    }
+  }
+
+  index(record) {
+    if (record.type === 'cursor') {
+      this.cursors.set(`${record.direction}:${record.supplierId}`, record);
+      return;
+    }
+    if (record.type === 'metrics') {
+      this.metrics.push(record);
+      return;
+    }
+
+    const documentId = record.documentId;
+    if (!this.history.has(documentId)) {
+      this.history.set(documentId, []);
+    }
+    this.history.get(documentId).push(record);
+
+    switch (record.type) {
+      case 'document':
+        this.documents.set(documentId, record);
+        break;
+      case 'invoice':
+        this.invoices.set(documentId, record);
+        break;
+      case 'match':
+        this.matches.set(documentId, record);
+        break;
+      case 'status':
+        if (!this.statuses.has(documentId)) {
+          this.statuses.set(documentId, new Map());
+        }
+        this.statuses.get(documentId).set(record.statusId, record);
+        break;
+      case 'sent':
+        this.sent.set(documentId, record);
+        break;
+      case 'decision':
+        if (!this.decisions.has(documentId)) {
+          this.decisions.set(documentId, []);
+        }
+        this.decisions.get(documentId).push(record);
+        break;
+    }
+  }
+
+  append(record) {
+    const entry = { recordedAt: new Date().toISOString(), ...record };
+    const dir = path.dirname(this.filename);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.appendFileSync(this.filename, `${JSON.stringify(entry)}\n`, 'utf8');
+    this.index(entry);
+  }
+
+  recordDocument(direction, doc, supplierId) {
+    const { createdAt, transmissionId = null, technicalStatus = null, businessStatus = null } =
+      doc.attributes;
+    const previous = this.documents.get(doc.id);
+
+    // Alleen wijzigingen vastleggen, anders groeit het bestand elke run
+    if (
+      previous &&
+      previous.technicalStatus === technicalStatus &&
+      previous.businessStatus === businessStatus &&
+      previous.transmissionId === transmissionId
+    ) {
+      return;
+    }
+
+    this.append({
+      type: 'document',
+      documentId: doc.id,
+      direction,
+      supplierId,
+      createdAt,
+      transmissionId,
+      technicalStatus,
+      businessStatus,
+    });
+  }
+
+  recordMatch({ inbound, outbound, transmissionId }) {
+    if (!outbound || this.matches.get(inbound.id)?.outboundId === outbound.id) return;
+    this.append({ type: 'match', documentId: inbound.id, outboundId: outbound.id, transmissionId });
+  }
+
+  recordInvoice(documentId, details) {
+    if (details.error || this.invoices.has(documentId)) return;
+
+    this.append({
+      type: 'invoice',
+      documentId,
+      documentType: details.documentType,
+      invoiceNumber: details.invoiceNumber,
+      description: details.description,
+      issueDate: details.issueDate?.toISOString() || null,
+      billingReference: details.billingReference ?? null,
+      payableAmount: details.payableAmount ?? null,
+      currency: details.currency || null,
+    });
+  }
+
+  getInvoice(documentId) {
+    const record = this.invoices.get(documentId);
+    if (!record) return null;
+
+    return {
+      documentType: record.documentType,
+      isCreditNote: record.documentType === 'CreditNote',
+      invoiceNumber: record.invoiceNumber,
+      description: record.description,
+      issueDate: record.issueDate ? new Date(record.issueDate) : null,
+      billingReference: record.billingReference ?? null,
+      payableAmount: record.payableAmount,
+      currency: record.currency,
+    };
+  }
+
+  recordStatuses(documentId, statuses, source = 'fetched') {
+    const known = this.statuses.get(documentId);
+
+    for (const status of statuses) {
+      if (known?.has(status.id)) continue;
+      this.append({
+        type: 'status',
+        documentId,
+        statusId: status.id,
+        source,
+        code: status.attributes.code,
+        technicalStatus: status.attributes.technicalStatus || null,
+        createdAt: status.attributes.createdAt || new Date().toISOString(),
+      });
+    }
+  }
+
+  recordDecision(documentId, phase, result) {
+    this.append({
+      type: 'decision',
+      documentId,
+      phase,
+      code: result.statusCode,
+      rule: result.rule || null,
+      success: result.success,
+      dryRun: Boolean(result.dryRun),
+      error: result.error || null,
+    });
+  }
+
+  recordSent(documentId, sent) {
+    this.append({ type: 'sent', documentId, ...sent });
+  }
+
+  getLastSentInvoiceNumber() {
+    const numbers = [...this.sent.values()].map((record) => Number(record.invoiceNumber)).filter(Number.isFinite);
+    return numbers.length ? Math.max(...numbers) : null;
+  }
+
+  recordVerification(documentId, phase, verification) {
+    this.append({ type: 'verification', documentId, phase, ...verification });
+  }
+
+  recordMetrics(outboundSupplierId, inboundSupplierId, latency) {
+    this.append({ type: 'metrics', outboundSupplierId: outboundSupplierId || null, inboundSupplierId, ...latency });
+  }
+
+  recordCursor(direction, supplierId, highWaterMark) {
+    this.append({ type: 'cursor', direction, supplierId, highWaterMark: highWaterMark.toISOString() });
+  }
+
+  getCursor(direction, supplierId) {
+    const cursor = this.cursors.get(`${direction}:${supplierId}`);
+    return cursor ? new Date(cursor.highWaterMark) : null;
+  }
+
+  getMetrics(outboundSupplierId, inboundSupplierId) {
+    return this.metrics.filter(
+      (record) =>
+        record.outboundSupplierId === (outboundSupplierId || null) && record.inboundSupplierId === inboundSupplierId
+    );
+  }
+
+  getLatestMetrics(outboundSupplierId, inboundSupplierId) {
+    return this.getMetrics(outboundSupplierId, inboundSupplierId).at(-1) || null;
+  }
+
+  getDocuments(direction, supplierId, changedSince = null) {
+    return [...this.documents.values()]
+      .filter(
+        (record) =>
+          record.direction === direction &&
+          record.supplierId === supplierId &&
+          (!changedSince || new Date(record.recordedAt) >= changedSince)
+      )
+      .map((record) => ({
+        id: record.documentId,
+        attributes: {
+          createdAt: record.createdAt,
+          transmissionId: record.transmissionId,
+          technicalStatus: record.technicalStatus,
+          businessStatus: record.businessStatus,
+        },
+      }));
+  }
+
+  getStatuses(documentId) {
+    return [...(this.statuses.get(documentId)?.values() || [])].map((record) => ({
+      id: record.statusId,
+      attributes: {
+        code: record.code,
+        technicalStatus: record.technicalStatus,
+        createdAt: record.createdAt,
+      },
+    }));
+  }
+
+  isSettled(inboundId, outbound, finalStatuses) {
+    const final = this.getStatuses(inboundId).find((s) => finalStatuses.includes(s.attributes.code));
+
+    if (!final) return false;
+    // Pas afgerond als de final status ook aan de outbound kant zichtbaar is
+    return !outbound || outbound.attributes.businessStatus === final.attributes.code;
+  }
+
+  findDocumentIds(query) {
+    if (this.history.has(query)) {
+      const match = [...this.matches.values()].find((m) => m.outboundId === query);
+      return match ? [match.documentId] : [query];
+    }
+
+    return [...this.invoices.values()]
+      .filter((invoice) => invoice.invoiceNumber === query)
+      .map((invoice) => invoice.documentId);
+  }
+
+  getTimeline(documentId) {
+    const outboundId = this.matches.get(documentId)?.outboundId;
+    const records = [...(this.history.get(documentId) || []), ...(this.history.get(outboundId) || [])];
+    return records.sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+  }
+}
+
+export { StatusStore };
@@ -0,0 +1,69 @@
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger.js';
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+function loadTenants(file, baseOutputDir) {
+  const filePath = path.resolve(file);
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Tenant configuratie niet gevonden: ${filePath}`);
+  }
+
+  const { tenants } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(tenants) || !tenants.length) {
+    throw new Error(`Geen tenants gedefinieerd in ${filePath}`);
+  }
+
+  return tenants.map((tenant, index) => {
+    const name = tenant.name || `tenant-${index + 1}`;
+
+    if (!tenant.inbound?.id) {
+      throw new Error(`${name}: inbound.id ontbreekt in ${filePath}`);
+    }
+    if (tenant.outbound && !tenant.outbound.id) {
+      throw new Error(`${name}: outbound.id ontbreekt in ${filePath}`);
+    }
+
+    return {
+      name,
+      suppliers: {
+        outbound: tenant.outbound ? { name: '-', ...tenant.outbound } : null,
+        inbound: { name: '-', ...tenant.inbound },
+      },
+      settings: {
+        ...tenant.settings,
+        ...(tenant.lookbackDays !== undefined && { lookbackDays: tenant.lookbackDays }),
+        outputDir: tenant.outputDir || path.join(baseOutputDir, slugify(name)),
+      },
+      decision: tenant.decision || {},
+    };
+  });
+}
+
+function printTenantSummary(summaries) {
+  const columns = ['Matches', 'Ack', 'Accepted', 'Rejected', 'Fouten'];
+  const totals = { matches: 0, acknowledged: 0, accepted: 0, rejected: 0, failed: 0 };
+
+  console.log(`${'Tenant'.padEnd(32)}${columns.map((c) => c.padStart(10)).join('')}  Rapport`);
+  Logger.separator();
+
+  for (const summary of summaries) {
+    if (summary.error) {
+      console.log(`${summary.name.padEnd(32)}  ❌ ${summary.error}`);
+      continue;
+    }
+
+    const values = Object.keys(totals).map((key) => {
+      totals[key] += summary[key];
+      return String(summary[key]).padStart(10);
+    });
+    console.log(`${summary.name.padEnd(32)}${values.join('')}  ${summary.reportFiles?.join(', ') || '-'}`);
+  }
+
+  Logger.separator();
+  console.log(`${'Totaal'.padEnd(32)}${Object.values(totals).map((v) => String(v).padStart(10)).join('')}`);
+}
+
+export { slugify, loadTenants, printTenantSummary };
@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import { XmlParser } from './xml-parser.js';
+
+const XML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' };
+
+const escapeXml = (value) => String(value ?? '').replace(/[<>&"']/g, (char) => XML_ENTITIES[char]);
+
+class TestInvoiceSender {
+  constructor(apiService, options = {}) {
+    this.api = apiService;
+    this.store = options.store || null;
+    this.config = apiService.config;
+    this.supplier = options.supplier || this.config.suppliers.outbound;
+    this.settings = { ...this.config.send, ...options.settings };
+    this.template = null;
+  }
+
+  loadTemplate() {
+    if (this.template) return this.template;
+
+    const filePath = path.resolve(this.settings.templateFile);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Factuur template niet gevonden: ${filePath}`);
+    }
+    this.template = fs.readFileSync(filePath, 'utf8');
+    return this.template;
+  }
+
+  nextInvoiceNumber() {
+    const last = this.store?.getLastSentInvoiceNumber();
+    return String(last ? last + 1 : this.settings.firstInvoiceNumber);
+  }
+
+  static parseEndpoint(endpoint, role) {
+    const [scheme, ...rest] = String(endpoint || '').split(':');
+    if (!scheme || !rest.length) {
+      throw new Error(`Peppol endpoint van ${role} ontbreekt of is ongeldig (verwacht "scheme:waarde"): ${endpoint || '-'}`);
+    }
+    return { scheme, value: rest.join(':') };
+  }
+
+  buildValues({ invoiceNumber, amount = this.settings.amount, note = null, issueDate = new Date() }) {
+    const { seller, buyer, vatPercent, currency, paymentTermDays } = this.settings;
+    const sellerEndpoint = TestInvoiceSender.parseEndpoint(seller.endpoint, 'verkoper');
+    const buyerEndpoint = TestInvoiceSender.parseEndpoint(buyer.endpoint, 'koper');
+    if (!seller.vatNumber) {
+      // Zonder BTW nummer wordt het een lege cbc:CompanyID, die de Peppol validatie afkeurt
+      throw new Error('BTW nummer van verkoper ontbreekt (SEND_SELLER_VAT)');
+    }
+    const dueDate = new Date(issueDate.getTime() + paymentTermDays * 24 * 60 * 60 * 1000);
+    const taxAmount = Math.round(amount * vatPercent) / 100;
+
+    return {
+      invoiceNumber,
+      issueDate: issueDate.toISOString().slice(0, 10),
+      dueDate: dueDate.toISOString().slice(0, 10),
+      note: note || `Test ${invoiceNumber}`,
+      buyerReference: `TEST-${invoiceNumber}`,
+      currency,
+      vatPercent,
+      lineAmount: amount.toFixed(2),
+      taxAmount: taxAmount.toFixed(2),
+      payableAmount: (amount + taxAmount).toFixed(2),
+      sellerScheme: sellerEndpoint.scheme,
+      sellerEndpoint: sellerEndpoint.value,
+      sellerName: seller.name,
+      sellerVatNumber: seller.vatNumber,
+      buyerScheme: buyerEndpoint.scheme,
+      buyerEndpoint: buyerEndpoint.value,
+      buyerName: buyer.name,
+    };
+  }
+
+  render(values) {
+    const xml = this.loadTemplate().replace(/\{\{(\w+)\}\}/g, (placeholder, key) => {
+      if (!(key in values)) {
+        throw new Error(`Onbekende placeholder ${placeholder} in ${this.settings.templateFile}`);
+      }
+      return escapeXml(values[key]);
+    });
+
+    // Terug-parsen vangt een kapotte template af voordat er iets het netwerk op gaat
+    const details = XmlParser.parseInvoiceDetails(xml);
+    if (details.invoiceNumber !== values.invoiceNumber) {
+      throw new Error(`Gegenereerde factuur is ongeldig: factuurnummer ${details.invoiceNumber} i.p.v. ${values.invoiceNumber}`);
+    }
+    return { xml, details };
+  }
+
+  async send(options = {}) {
+    const invoiceNumber = options.invoiceNumber || this.nextInvoiceNumber();
+    const values = this.buildValues({ ...options, invoiceNumber });
+    const { xml, details } = this.render(values);
+
+    if (options.dryRun) {
+      return { documentId: null, invoiceNumber, details, xml, dryRun: true };
+    }
+
+    const document = await this.api.sendOutboundDocument(this.supplier.id, xml);
+    this.store?.recordDocument('outbound', document, this.supplier.id);
+    this.store?.recordSent(document.id, {
+      supplierId: this.supplier.id,
+      invoiceNumber,
+      payableAmount: details.payableAmount,
+      transmissionId: document.attributes?.transmissionId || null,
+    });
+
+    return { documentId: document.id, invoiceNumber, details, document };
+  }
+}
+
+export { escapeXml, TestInvoiceSender };
@@ -0,0 +1,40 @@
+const sleep = (ms, signal = null) =>
+  new Promise((resolve) => {
+    // Een al afgebroken signal vuurt geen abort event meer af
+    if (signal?.aborted) return resolve();
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        resolve();
+      },
+      { once: true }
+    );
+  });
+
+const randomChoice = (options) => options[Math.floor(Math.random() * options.length)];
+
+const formatTimestamp = (date = new Date()) => {
+  return date.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+};
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date;
+};
+
+const formatDuration = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// Nearest-rank percentielen; bij een handvol documenten per run is interpolatie schijnprecisie
+const summarizeLatencies = (values) => {
+  if (!values.length) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p) => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+  return { count: sorted.length, min: sorted[0], median: rank(50), p95: rank(95), max: sorted[sorted.length - 1] };
+};
+
+export { sleep, randomChoice, formatTimestamp, daysAgo, formatDuration, summarizeLatencies };
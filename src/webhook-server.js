@@ -0,0 +1,169 @@
+import http from 'http';
+import crypto from 'crypto';
+import { Logger } from './logger.js';
+
+class WebhookServer {
+  constructor(onEvent, settings) {
+    this.onEvent = onEvent;
+    this.settings = { ...settings };
+    this.seenEventIds = new Set();
+    this.queue = Promise.resolve();
+    this.server = null;
+  }
+
+  static validatePayload(payload) {
+    const errors = [];
+    const data = payload?.data;
+
+    if (!data || typeof data !== 'object') {
+      return ['data ontbreekt'];
+    }
+    if (typeof data.id !== 'string' || !data.id) errors.push('data.id ontbreekt');
+    if (typeof data.type !== 'string' || !data.type) errors.push('data.type ontbreekt');
+    if (!data.attributes?.createdAt) errors.push('data.attributes.createdAt ontbreekt');
+    if (!data.relationships?.supplier?.data?.id) errors.push('data.relationships.supplier ontbreekt');
+    if (!data.relationships?.document?.data?.id) errors.push('data.relationships.document ontbreekt');
+
+    return errors;
+  }
+
+  static toEvent({ data }) {
+    return {
+      id: data.id,
+      type: data.type,
+      createdAt: data.attributes.createdAt,
+      supplierId: data.relationships.supplier.data.id,
+      documentId: data.relationships.document.data.id,
+      documentType: data.relationships.document.data.type,
+      direction: data.type.includes('.inbound.') ? 'inbound' : 'outbound',
+    };
+  }
+
+  verifySignature(rawBody, signature) {
+    if (!this.settings.secret) return true;
+    if (!signature) return false;
+
+    const expected = Buffer.from(crypto.createHmac('sha256', this.settings.secret).update(rawBody).digest('hex'));
+    // Bytes vergelijken, niet tekens: multibyte input zou timingSafeEqual anders laten gooien
+    const received = Buffer.from(String(signature).replace(/^sha256=/, ''));
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  rememberEvent(eventId) {
+    if (this.seenEventIds.has(eventId)) return false;
+
+    this.seenEventIds.add(eventId);
+    if (this.seenEventIds.size > this.settings.maxRememberedEvents) {
+      this.seenEventIds.delete(this.seenEventIds.values().next().value);
+    }
+    return true;
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+
+      // Bij een te grote body de rest wel lezen maar weggooien: de socket moet open blijven voor de 413
+      req.on('data', (chunk) => {
+        if (tooLarge) return;
+        size += chunk.length;
+        if (size > this.settings.maxBodySize) {
+          tooLarge = true;
+          chunks.length = 0;
+          reject(Object.assign(new Error('Payload te groot'), { statusCode: 413 }));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  respond(res, statusCode, body, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  async handleRequest(req, res) {
+    if (new URL(req.url, 'http://localhost').pathname !== this.settings.path) {
+      return this.respond(res, 404, { error: 'Niet gevonden' });
+    }
+    if (req.method !== 'POST') {
+      return this.respond(res, 405, { error: 'Alleen POST toegestaan' });
+    }
+
+    let rawBody;
+    try {
+      rawBody = await this.readBody(req);
+    } catch (error) {
+      if (error.statusCode === 413) {
+        // Verbinding pas sluiten als de 413 verstuurd is, anders krijgt de client alleen een reset
+        res.once('finish', () => req.socket?.end());
+        return this.respond(res, 413, { error: error.message }, { Connection: 'close' });
+      }
+      return this.respond(res, error.statusCode || 400, { error: error.message });
+    }
+
+    if (!this.verifySignature(rawBody, req.headers[this.settings.signatureHeader])) {
+      Logger.warning('Webhook met ongeldige handtekening geweigerd.');
+      return this.respond(res, 401, { error: 'Ongeldige handtekening' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      return this.respond(res, 400, { error: 'Ongeldige JSON' });
+    }
+
+    const errors = WebhookServer.validatePayload(payload);
+    if (errors.length > 0) {
+      return this.respond(res, 422, { error: 'Ongeldige payload', details: errors });
+    }
+
+    const event = WebhookServer.toEvent(payload);
+    if (!this.rememberEvent(event.id)) {
+      Logger.info(`Webhook ${event.id} al ontvangen, overgeslagen.`);
+      return this.respond(res, 200, { status: 'duplicate', id: event.id });
+    }
+
+    Logger.info(`Webhook ${event.type} ontvangen voor document ${event.documentId}.`);
+    this.respond(res, 202, { status: 'accepted', id: event.id });
+
+    // Events één voor één verwerken zodat refreshes elkaar niet overlappen
+    this.queue = this.queue.then(() =>
+      this.onEvent(event).catch((error) => {
+        // Vergeten zodat een herbezorging de refresh alsnog uitvoert
+        this.seenEventIds.delete(event.id);
+        Logger.error(`Verwerken webhook ${event.id} mislukt: ${error.message}`);
+      })
+    );
+  }
+
+  listen(port = this.settings.port) {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        Logger.error(`Webhook request mislukt: ${error.message}`);
+        if (!res.headersSent) this.respond(res, 500, { error: 'Interne fout' });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => resolve(this.server.address()));
+    });
+  }
+
+  async close() {
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve));
+    }
+    await this.queue;
+  }
+}
+
+export { WebhookServer };
@@ -0,0 +1,239 @@
+import { XMLParser } from 'fast-xml-parser';
+
+const UBL_NAMESPACES = Object.freeze({
+  Invoice: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+  CreditNote: 'urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2',
+  cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+  cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+});
+
+const xmlTreeParser = new XMLParser({
+  preserveOrder: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  htmlEntities: true,
+});
+
+const XmlParser = {
+  parseTree(xml) {
+    const nodes = xmlTreeParser.parse(xml);
+    const root = this.buildElements(nodes, {})[0];
+    if (!root) {
+      throw new Error('Geen XML root element gevonden');
+    }
+    return root;
+  },
+
+  // Zet de fast-xml-parser output om naar elementen met opgeloste namespace URI's
+  buildElements(nodes, parentScope) {
+    const elements = [];
+
+    for (const node of nodes) {
+      const qName = Object.keys(node).find((key) => key !== ':@');
+      if (qName === '#text' || qName.startsWith('?') || qName.startsWith('!')) continue;
+
+      const rawAttributes = node[':@'] || {};
+      const scope = { ...parentScope };
+      const attributes = {};
+
+      for (const [name, value] of Object.entries(rawAttributes)) {
+        if (name === 'xmlns') {
+          scope[''] = value;
+        } else if (name.startsWith('xmlns:')) {
+          scope[name.slice(6)] = value;
+        } else {
+          attributes[name.includes(':') ? name.split(':')[1] : name] = value;
+        }
+      }
+
+      const [prefix, localName] = qName.includes(':') ? qName.split(':') : ['', qName];
+      const childNodes = node[qName] || [];
+
+      elements.push({
+        ns: scope[prefix] ?? null,
+        name: localName,
+        attributes,
+        children: this.buildElements(childNodes, scope),
+        text: childNodes
+          .filter((child) => '#text' in child)
+          .map((child) => child['#text'])
+          .join('')
+          .trim(),
+      });
+    }
+
+    return elements;
+  },
+
+  findAll(element, selector) {
+    let current = element ? [element] : [];
+
+    for (const step of selector.split('/')) {
+      const [prefix, name] = step.split(':');
+      const ns = UBL_NAMESPACES[prefix];
+      current = current.flatMap((el) =>
+        el.children.filter((child) => child.ns === ns && child.name === name)
+      );
+    }
+
+    return current;
+  },
+
+  find(element, selector) {
+    return this.findAll(element, selector)[0] || null;
+  },
+
+  textOf(element, selector) {
+    return this.find(element, selector)?.text || null;
+  },
+
+  numberOf(element, selector) {
+    const value = this.textOf(element, selector);
+    return value !== null ? Number(value) : null;
+  },
+
+  dateOf(element, selector) {
+    const value = this.textOf(element, selector);
+    return value ? new Date(value) : null;
+  },
+
+  amountOf(element, selector) {
+    const amount = this.find(element, selector);
+    if (!amount?.text) return null;
+    return { value: Number(amount.text), currency: amount.attributes.currencyID || null };
+  },
+
+  findDocumentRoot(element) {
+    if (element.ns === UBL_NAMESPACES.Invoice || element.ns === UBL_NAMESPACES.CreditNote) {
+      return element;
+    }
+    // Inbound XML kan in een SBDH envelop zitten
+    for (const child of element.children) {
+      const found = this.findDocumentRoot(child);
+      if (found) return found;
+    }
+    return null;
+  },
+
+  parseParty(element, selector) {
+    const party = this.find(element, `${selector}/cac:Party`);
+    if (!party) return null;
+
+    const endpoint = this.find(party, 'cbc:EndpointID');
+
+    return {
+      name:
+        this.textOf(party, 'cac:PartyName/cbc:Name') ||
+        this.textOf(party, 'cac:PartyLegalEntity/cbc:RegistrationName'),
+      endpointId: endpoint
+        ? { scheme: endpoint.attributes.schemeID || null, value: endpoint.text }
+        : null,
+      vatId: this.textOf(party, 'cac:PartyTaxScheme/cbc:CompanyID'),
+      legalId: this.textOf(party, 'cac:PartyLegalEntity/cbc:CompanyID'),
+      country: this.textOf(party, 'cac:PostalAddress/cac:Country/cbc:IdentificationCode'),
+    };
+  },
+
+  parseLines(root, documentType) {
+    const lineTag = documentType === 'CreditNote' ? 'CreditNoteLine' : 'InvoiceLine';
+    const quantityTag = documentType === 'CreditNote' ? 'CreditedQuantity' : 'InvoicedQuantity';
+
+    return this.findAll(root, `cac:${lineTag}`).map((line) => {
+      const quantity = this.find(line, `cbc:${quantityTag}`);
+      return {
+        id: this.textOf(line, 'cbc:ID'),
+        quantity: quantity?.text ? Number(quantity.text) : null,
+        unitCode: quantity?.attributes.unitCode || null,
+        lineAmount: this.amountOf(line, 'cbc:LineExtensionAmount'),
+        itemName: this.textOf(line, 'cac:Item/cbc:Name'),
+        price: this.amountOf(line, 'cac:Price/cbc:PriceAmount'),
+        taxCategory: this.textOf(line, 'cac:Item/cac:ClassifiedTaxCategory/cbc:ID'),
+        taxPercent: this.numberOf(line, 'cac:Item/cac:ClassifiedTaxCategory/cbc:Percent'),
+      };
+    });
+  },
+
+  parseTaxTotals(root) {
+    return this.findAll(root, 'cac:TaxTotal').map((taxTotal) => ({
+      taxAmount: this.amountOf(taxTotal, 'cbc:TaxAmount'),
+      subtotals: this.findAll(taxTotal, 'cac:TaxSubtotal').map((subtotal) => ({
+        taxableAmount: this.amountOf(subtotal, 'cbc:TaxableAmount'),
+        taxAmount: this.amountOf(subtotal, 'cbc:TaxAmount'),
+        category: this.textOf(subtotal, 'cac:TaxCategory/cbc:ID'),
+        percent: this.numberOf(subtotal, 'cac:TaxCategory/cbc:Percent'),
+      })),
+    }));
+  },
+
+  parseDocument(xml) {
+    const root = this.findDocumentRoot(this.parseTree(xml));
+    if (!root) {
+      throw new Error('Geen UBL Invoice of CreditNote gevonden in XML');
+    }
+
+    const documentType = root.name;
+    const typeCodeTag = documentType === 'CreditNote' ? 'CreditNoteTypeCode' : 'InvoiceTypeCode';
+
+    return {
+      documentType,
+      customizationId: this.textOf(root, 'cbc:CustomizationID'),
+      invoiceNumber: this.textOf(root, 'cbc:ID'),
+      typeCode: this.textOf(root, `cbc:${typeCodeTag}`),
+      issueDate: this.dateOf(root, 'cbc:IssueDate'),
+      dueDate:
+        this.dateOf(root, 'cbc:DueDate') || this.dateOf(root, 'cac:PaymentMeans/cbc:PaymentDueDate'),
+      note: this.textOf(root, 'cbc:Note'),
+      currency: this.textOf(root, 'cbc:DocumentCurrencyCode'),
+      buyerReference: this.textOf(root, 'cbc:BuyerReference'),
+      orderReference: this.textOf(root, 'cac:OrderReference/cbc:ID'),
+      billingReferences: this.findAll(root, 'cac:BillingReference/cac:InvoiceDocumentReference').map(
+        (reference) => ({
+          id: this.textOf(reference, 'cbc:ID'),
+          issueDate: this.dateOf(reference, 'cbc:IssueDate'),
+        })
+      ),
+      supplier: this.parseParty(root, 'cac:AccountingSupplierParty'),
+      customer: this.parseParty(root, 'cac:AccountingCustomerParty'),
+      lines: this.parseLines(root, documentType),
+      taxTotals: this.parseTaxTotals(root),
+      totals: {
+        lineExtension: this.amountOf(root, 'cac:LegalMonetaryTotal/cbc:LineExtensionAmount'),
+        taxExclusive: this.amountOf(root, 'cac:LegalMonetaryTotal/cbc:TaxExclusiveAmount'),
+        taxInclusive: this.amountOf(root, 'cac:LegalMonetaryTotal/cbc:TaxInclusiveAmount'),
+        payable: this.amountOf(root, 'cac:LegalMonetaryTotal/cbc:PayableAmount'),
+      },
+    };
+  },
+
+  detectDocumentType(xml) {
+    return this.findDocumentRoot(this.parseTree(xml))?.name || null;
+  },
+
+  parseInvoiceDetails(xml) {
+    const document = this.parseDocument(xml);
+    const endpoint = document.supplier?.endpointId;
+    const isCreditNote = document.documentType === 'CreditNote';
+    const payable = document.totals.payable?.value ?? null;
+
+    return {
+      documentType: document.documentType,
+      isCreditNote,
+      invoiceNumber: document.invoiceNumber || 'Niet gevonden',
+      description: document.note || '-',
+      issueDate: document.issueDate,
+      dueDate: document.dueDate,
+      currency: document.currency,
+      // Creditnota's bevatten positieve bedragen, maar verlagen het saldo
+      payableAmount: payable !== null && isCreditNote ? -payable : payable,
+      billingReference: document.billingReferences[0]?.id || null,
+      buyerReference: document.buyerReference,
+      orderReference: document.orderReference,
+      senderId: endpoint ? [endpoint.scheme, endpoint.value].filter(Boolean).join(':') : null,
+      document,
+    };
+  },
+};
+
+export { UBL_NAMESPACES, XmlParser };
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { MOCK_DEFAULTS } from '../mock-server.js';
+import { createClient } from '../index.js';
+import { withMockClient } from './helpers.js';
+
+const context = withMockClient({ documents: 2, tokenExpiresIn: 2 }, { settings: { tokenRefreshMargin: 1000 } });
+const { mock } = context;
+const supplierId = MOCK_DEFAULTS.inboundSupplierId;
+
+// Aantal requests per soort sinds de vorige aanroep
+const countRequests = () => {
+  const seen = mock.state.requests.length;
+  return () => {
+    const requests = mock.state.requests.slice(seen);
+    return {
+      tokens: requests.filter((request) => request.path === '/token').length,
+      api: requests.filter((request) => request.path !== '/token').length,
+    };
+  };
+};
+
+test('authenticate ververst het token voordat het verloopt', async () => {
+  const { api } = createClient(context.config);
+  const counted = countRequests();
+
+  await api.fetchInboundDocuments(supplierId);
+  await api.fetchInboundDocuments(supplierId);
+  assert.deepEqual(counted(), { tokens: 1, api: 2 });
+
+  // Binnen de marge van 1s voor het verlopen: vooraf verversen, de server weigert het oude token nog niet
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+  await api.fetchInboundDocuments(supplierId);
+  assert.deepEqual(counted(), { tokens: 2, api: 3 });
+});
+
+test('gelijktijdige requests delen één token-aanvraag', async () => {
+  const { api } = createClient(context.config);
+  const counted = countRequests();
+
+  await Promise.all([api.fetchInboundDocuments(supplierId), api.fetchInboundDocuments(supplierId)]);
+  assert.equal(counted().tokens, 1);
+});
+
+test('een 401 op een ingetrokken token leidt tot één nieuwe token-aanvraag en één herhaling', async () => {
+  const { api } = createClient(context.config);
+  await api.fetchInboundDocuments(supplierId);
+  const counted = countRequests();
+  mock.revokeTokens();
+
+  const documents = await api.fetchInboundDocuments(supplierId);
+
+  assert.equal(documents.length, 2);
+  assert.deepEqual(counted(), { tokens: 1, api: 2 });
+});
+
+test('een tweede 401 na de herhaling wordt niet opnieuw geprobeerd', async () => {
+  const { api } = createClient(context.config);
+  await api.fetchInboundDocuments(supplierId);
+  const counted = countRequests();
+  mock.failNext(2, { status: 401 });
+
+  await assert.rejects(api.fetchInboundDocuments(supplierId), (error) => error.response?.status === 401);
+  assert.deepEqual(counted(), { tokens: 1, api: 2 });
+});
+
+// Korte wachttijden zodat de retries de test niet vertragen
+const createRetryClient = (options) =>
+  createClient({ ...context.config, retry: { baseDelay: 10, maxDelay: 50, jitter: 0 } }, options);
+
+const postedStatuses = (documentId) =>
+  mock.state.requests.filter((request) => request.method === 'POST' && request.path.includes(documentId));
+
+test('getRetryDelay volgt Retry-After maar nooit langer dan maxDelay', () => {
+  const { api } = createRetryClient();
+  const retryAfter = (value) => ({ response: { status: 503, headers: { 'retry-after': value } } });
+
+  assert.equal(api.getRetryDelay(retryAfter('0.02'), 1), 20);
+  assert.equal(api.getRetryDelay(retryAfter('120'), 1), 50);
+  assert.equal(api.getRetryDelay(retryAfter(new Date(Date.now() + 3600000).toUTCString()), 1), 50);
+  assert.equal(api.getRetryDelay(retryAfter(new Date(Date.now() - 3600000).toUTCString()), 1), 0);
+  // Zonder header exponentiële backoff, ook begrensd
+  assert.equal(api.getRetryDelay({ response: { status: 503 } }, 2), 20);
+  assert.equal(api.getRetryDelay({ response: { status: 503 } }, 10), 50);
+});
+
+test('een 503 met Retry-After wordt na maxDelay opnieuw geprobeerd', async (t) => {
+  const warning = t.mock.method(console, 'log', () => {});
+  const { api } = createRetryClient();
+  await api.fetchInboundDocuments(supplierId);
+  mock.failNext(1, { status: 503, retryAfter: 120 });
+  const startedAt = Date.now();
+
+  const documents = await api.fetchInboundDocuments(supplierId);
+
+  assert.equal(documents.length, 2);
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.ok(warning.mock.calls.some(({ arguments: [message] }) => message.includes('poging 2/4 over 0.05s')));
+});
+
+test('een niet-herhaalbare fout wordt niet opnieuw geprobeerd', async () => {
+  const { api } = createRetryClient();
+  const counted = countRequests();
+
+  await assert.rejects(api.fetchOutboundDocument('out-bestaat-niet'), (error) => error.response?.status === 404);
+  assert.equal(counted().api, 1);
+});
+
+test('sendBusinessStatus herhaalt een POST die de server niet verwerkt heeft', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { api } = createRetryClient();
+  const [documentId] = mock.state.inbound.keys();
+  await api.fetchInboundDocuments(supplierId);
+  const known = await api.fetchInboundBusinessStatuses(documentId);
+  mock.failNext(1);
+
+  const status = await api.sendBusinessStatus(documentId, 'acknowledged', known);
+
+  assert.equal(postedStatuses(documentId).length, 2);
+  assert.deepEqual(mock.state.statuses.get(documentId).map((s) => s.id), [status.id]);
+});
+
+test('sendBusinessStatus post niet opnieuw als de mislukte POST toch verwerkt is', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const [, documentId] = mock.state.inbound.keys();
+  const httpClient = axios.create();
+  // Antwoord van de eerste POST gaat verloren nadat de server de status al heeft opgeslagen
+  let dropResponse = true;
+  httpClient.interceptors.response.use((response) => {
+    if (dropResponse && response.config.method === 'post' && response.config.url.includes(documentId)) {
+      dropResponse = false;
+      throw Object.assign(new Error('Request failed with status code 502'), {
+        response: { status: 502, headers: {} },
+      });
+    }
+    return response;
+  });
+  const { api } = createRetryClient({ httpClient });
+
+  const status = await api.sendBusinessStatus(documentId, 'acknowledged');
+
+  assert.equal(postedStatuses(documentId).length, 1);
+  assert.deepEqual(mock.state.statuses.get(documentId).map((s) => s.attributes.code), ['acknowledged']);
+  assert.equal(status.id, mock.state.statuses.get(documentId)[0].id);
+});
+
+test('sendBusinessStatus herhaalt een POST als dezelfde code al van vóór de eerste poging bestaat', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { api } = createRetryClient();
+  const [documentId] = mock.state.inbound.keys();
+  const first = await api.sendBusinessStatus(documentId, 'under-query');
+  const known = await api.fetchInboundBusinessStatuses(documentId);
+  mock.failNext(1);
+
+  const status = await api.sendBusinessStatus(documentId, 'under-query', known);
+
+  const underQuery = mock.state.statuses.get(documentId).filter((s) => s.attributes.code === 'under-query');
+  assert.deepEqual(underQuery.map((s) => s.id), [first.id, status.id]);
+  assert.notEqual(status.id, first.id);
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { BusinessStatusManager, StatusStateMachine, createConfig } from '../index.js';
+import { readJsonFixture, status, withTempDir } from './helpers.js';
+
+const workDir = withTempDir('peppol-transitions-');
+
+const createApi = (statuses = []) => ({
+  config: createConfig(),
+  fetched: 0,
+  sent: [],
+  async fetchInboundBusinessStatuses() {
+    this.fetched++;
+    return statuses;
+  },
+  async sendBusinessStatus(documentId, code) {
+    this.sent.push({ documentId, code });
+    return {
+      id: `status-${this.sent.length}`,
+      attributes: { code, technicalStatus: 'pending', createdAt: '2025-11-28T10:10:00.000Z' },
+    };
+  },
+});
+
+test('analyzeDocument: zonder business status is acknowledged nodig', async () => {
+  const manager = new BusinessStatusManager(createApi());
+  const analysis = await manager.analyzeDocument('doc-1');
+
+  assert.equal(analysis.currentState, StatusStateMachine.INITIAL);
+  assert.equal(analysis.needsAcknowledge, true);
+  assert.equal(analysis.needsFinalStatus, false);
+  assert.equal(analysis.isComplete, false);
+  assert.equal(analysis.reason, 'nog geen business status');
+});
+
+test('analyzeDocument: na acknowledged volgt een final status', async () => {
+  const manager = new BusinessStatusManager(createApi());
+  const analysis = await manager.analyzeDocument('doc-1', [status('acknowledged', '2025-11-28T10:07:30Z')]);
+
+  assert.equal(analysis.hasAcknowledged, true);
+  assert.equal(analysis.needsAcknowledge, false);
+  assert.equal(analysis.needsFinalStatus, true);
+  assert.equal(analysis.reason, 'acknowledged aanwezig, final status ontbreekt');
+});
+
+test('analyzeDocument: met een final status is het document compleet', async () => {
+  const api = createApi(readJsonFixture('business-statuses.json').data);
+  const manager = new BusinessStatusManager(api);
+  const analysis = await manager.analyzeDocument('doc-1');
+
+  assert.equal(api.fetched, 1);
+  assert.deepEqual(analysis.existingCodes, ['acknowledged', 'accepted']);
+  assert.equal(analysis.currentState, 'accepted');
+  assert.equal(analysis.hasFinalStatus, true);
+  assert.equal(analysis.isComplete, true);
+  assert.equal(analysis.needsAcknowledge, false);
+  assert.equal(analysis.needsFinalStatus, false);
+  assert.equal(analysis.reason, 'final status al aanwezig');
+});
+
+test('analyzeDocument: een tussenstatus zonder acknowledged vraagt direct om een final status', async () => {
+  const manager = new BusinessStatusManager(createApi());
+  const analysis = await manager.analyzeDocument('doc-1', [status('under-query', '2025-11-28T10:07:30Z')]);
+
+  assert.equal(analysis.needsAcknowledge, false);
+  assert.equal(analysis.needsFinalStatus, true);
+  assert.equal(analysis.reason, 'status "under-query" aanwezig, final status ontbreekt');
+});
+
+test('analyzeDocument: volgt de overgangen van de status machine', async () => {
+  const stateMachine = new StatusStateMachine({
+    initial: ['acknowledged'],
+    acknowledged: ['in-process'],
+    'in-process': ['accepted', 'rejected'],
+    accepted: [],
+    rejected: [],
+  });
+  const manager = new BusinessStatusManager(createApi(), null, stateMachine);
+  const analysis = await manager.analyzeDocument('doc-1', [status('acknowledged', '2025-11-28T10:07:30Z')]);
+
+  assert.equal(analysis.needsFinalStatus, false);
+  assert.equal(analysis.reason, 'status "acknowledged" laat geen accepted/rejected toe');
+});
+
+test('analyzeDocument: zonder toegestane acknowledged volgt direct een final status', async () => {
+  const stateMachine = new StatusStateMachine({ initial: ['accepted', 'rejected'], accepted: [], rejected: [] });
+  const manager = new BusinessStatusManager(createApi(), null, stateMachine);
+  const analysis = await manager.analyzeDocument('doc-1', []);
+
+  assert.equal(analysis.currentState, StatusStateMachine.INITIAL);
+  assert.equal(analysis.needsAcknowledge, false);
+  assert.equal(analysis.needsFinalStatus, true);
+});
+
+test('standaard overgangen volgen overschreven status codes', async () => {
+  const config = createConfig({ businessStatus: { codes: { ACCEPTED: 'approved' } } }, {});
+  const stateMachine = StatusStateMachine.fromConfig(config.businessStatus);
+
+  assert.ok(stateMachine.canTransition('acknowledged', 'approved'));
+  assert.ok(stateMachine.canTransition('approved', 'paid'));
+  assert.equal(stateMachine.canTransition('acknowledged', 'accepted'), false);
+
+  const api = { ...createApi(), config };
+  const result = await new BusinessStatusManager(api).sendStatus('doc-1', 'approved', [
+    status('acknowledged', '2025-11-28T10:07:30Z'),
+  ]);
+  assert.equal(result.success, true);
+});
+
+test('StatusStateMachine.fromConfig noemt het bestand als "transitions" ontbreekt', () => {
+  const transitionsFile = path.join(workDir, 'transitions.json');
+  fs.writeFileSync(transitionsFile, JSON.stringify({ initial: ['accepted'], accepted: [] }));
+
+  assert.throws(
+    () => StatusStateMachine.fromConfig({ transitionsFile }),
+    new Error(`Geen "transitions" gedefinieerd in ${transitionsFile}`)
+  );
+});
+
+test('sendStatus weigert een ongeldige overgang zonder de API aan te roepen', async () => {
+  const api = createApi(readJsonFixture('business-statuses.json').data);
+  const manager = new BusinessStatusManager(api);
+  const result = await manager.sendStatus('doc-1', 'rejected');
+
+  assert.equal(result.success, false);
+  assert.equal(result.refused, true);
+  assert.match(result.error, /Overgang van "accepted" naar "rejected" is niet toegestaan/);
+  assert.deepEqual(api.sent, []);
+});
+
+test('sendStatus verstuurt een toegestane overgang', async () => {
+  const api = createApi();
+  const manager = new BusinessStatusManager(api);
+  const result = await manager.sendStatus('doc-1', 'acknowledged');
+
+  assert.deepEqual(api.sent, [{ documentId: 'doc-1', code: 'acknowledged' }]);
+  assert.deepEqual(result, {
+    success: true,
+    statusCode: 'acknowledged',
+    statusId: 'status-1',
+    technicalStatus: 'pending',
+    createdAt: '2025-11-28T10:10:00.000Z',
+  });
+});
+
+test('sendStatus geeft de foutmelding van de API door', async () => {
+  const api = createApi();
+  api.sendBusinessStatus = async () => {
+    const error = new Error('Request failed with status code 403');
+    error.response = { status: 403, data: { errors: [{ detail: 'Cannot transition from accepted to rejected' }] } };
+    throw error;
+  };
+  const result = await new BusinessStatusManager(api).sendStatus('doc-1', 'acknowledged');
+
+  assert.deepEqual(result, {
+    success: false,
+    statusCode: 'acknowledged',
+    error: 'Cannot transition from accepted to rejected',
+  });
+});
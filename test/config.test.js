@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConfig, validateConfig } from '../index.js';
+
+test('createConfig vult standaardwaarden aan met de omgeving', () => {
+  const config = createConfig({}, { BASE_URL: 'https://api.example.test', REPORT_FORMATS: 'json' });
+
+  assert.equal(config.api.baseUrl, 'https://api.example.test');
+  assert.equal(config.settings.reportFormats, 'json');
+  assert.equal(config.settings.pageSize, 100);
+});
+
+test('createConfig voegt overrides diep samen zonder de standaard te wijzigen', () => {
+  const config = createConfig({ settings: { lookbackDays: 2 }, suppliers: { inbound: { id: 'inbound-1' } } }, {});
+
+  assert.equal(config.settings.lookbackDays, 2);
+  assert.equal(config.settings.pageSize, 100);
+  assert.equal(config.suppliers.inbound.id, 'inbound-1');
+  assert.equal(config.suppliers.outbound.id, 'ef111c85-4315-4cde-bed9-efd29f25e19c');
+  assert.equal(createConfig({}, {}).settings.lookbackDays, 6);
+});
+
+test('createConfig houdt afgeleide statuslijsten in lijn met overschreven codes', () => {
+  const config = createConfig({ businessStatus: { codes: { ACCEPTED: 'approved' } } }, {});
+
+  assert.deepEqual(config.businessStatus.finalStatuses, ['approved', 'rejected']);
+  assert.ok(config.businessStatus.allStatuses.includes('approved'));
+});
+
+test('validateConfig noemt ontbrekende instellingen', () => {
+  assert.throws(
+    () => validateConfig(createConfig({}, { BASE_URL: 'http://localhost:4010', MOCK: '1' })),
+    /Missing required configuration: TOKEN_URL, CLIENT_ID, CLIENT_SECRET$/m
+  );
+  assert.throws(
+    () => validateConfig(createConfig({}, { BASE_URL: 'https://api.example.test' })),
+    /SSL_PASSPHRASE/
+  );
+});
+
+test('validateConfig weigert plain http zonder expliciete opt-in', () => {
+  const env = {
+    BASE_URL: 'http://api.example.test',
+    TOKEN_URL: 'http://api.example.test/token',
+    CLIENT_ID: 'client',
+    CLIENT_SECRET: 'secret',
+    SSL_PASSPHRASE: 'passphrase',
+  };
+
+  assert.throws(() => validateConfig(createConfig({}, env)), /uses plain http.*\n.*MOCK=1 or pass --insecure/);
+  assert.doesNotThrow(() => validateConfig(createConfig({ api: { insecure: true } }, env)));
+  // Zonder opt-in blijft de passphrase verplicht, ook voor een http:// URL
+  assert.throws(() => validateConfig(createConfig({}, { ...env, SSL_PASSPHRASE: '' })), /SSL_PASSPHRASE/);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createConfig, DecisionEngine } from '../index.js';
+import { withTempDir } from './helpers.js';
+
+const workDir = withTempDir('peppol-decision-');
+const rulesFile = path.join(workDir, 'rules.json');
+fs.writeFileSync(rulesFile, JSON.stringify({ senders: { allow: ['0208:0123456789'], deny: ['0208:9999999999'] } }));
+
+test('rules strategie gebruikt de geconfigureerde afwijscode voor allow- en denylist', () => {
+  const config = createConfig({ businessStatus: { codes: { REJECTED: 'declined' } } }, {});
+  const engine = DecisionEngine.fromConfig(config, { strategy: 'rules', rulesFile });
+
+  assert.equal(engine.decide({ invoice: { senderId: '0208:9999999999' } }).code, 'declined');
+  assert.equal(engine.decide({ invoice: { senderId: '0208:1111111111' } }).code, 'declined');
+  assert.equal(engine.decide({ invoice: { senderId: '0208:0123456789' } }), null);
+});
+
+test('rules strategie vergelijkt "today" als UTC datum, ook buiten UTC', (t) => {
+  const timezone = process.env.TZ;
+  process.env.TZ = 'America/New_York';
+  t.after(() => {
+    if (timezone === undefined) delete process.env.TZ;
+    else process.env.TZ = timezone;
+  });
+  // 07:00 lokale tijd: lokale middernacht valt hier op 05:00 UTC, na het begin van de UTC dag
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2025-11-28T12:00:00Z') });
+
+  const overdueFile = path.join(workDir, 'overdue.json');
+  fs.writeFileSync(
+    overdueFile,
+    JSON.stringify({ rules: [{ name: 'verlopen', when: { field: 'dueDate', op: 'lt', value: 'today' }, then: 'rejected' }] })
+  );
+  const engine = DecisionEngine.fromConfig(createConfig({}, {}), { strategy: 'rules', rulesFile: overdueFile });
+
+  assert.equal(engine.decide({ invoice: { dueDate: '2025-11-28' } }), null);
+  assert.equal(engine.decide({ invoice: { dueDate: '2025-11-27' } }).code, 'rejected');
+});
+
+test('rules strategie vergelijkt strings die op een datum lijken letterlijk', () => {
+  const invoiceFile = path.join(workDir, 'invoice-number.json');
+  fs.writeFileSync(
+    invoiceFile,
+    JSON.stringify({
+      rules: [
+        { name: 'vast nummer', when: { field: 'invoiceNumber', op: 'eq', value: '2025-11-28-A' }, then: 'rejected' },
+        { name: 'vervaldatum', when: { field: 'dueDate', op: 'eq', value: '2025-11-28' }, then: 'accepted' },
+      ],
+    })
+  );
+  const engine = DecisionEngine.fromConfig(createConfig({}, {}), { strategy: 'rules', rulesFile: invoiceFile });
+
+  assert.equal(engine.decide({ invoice: { invoiceNumber: '2025-11-28-A' } }).code, 'rejected');
+  assert.equal(engine.decide({ invoice: { invoiceNumber: '2025-11-28-B' } }), null);
+  assert.equal(engine.decide({ invoice: { dueDate: new Date('2025-11-28T00:00:00Z') } }).code, 'accepted');
+});
+
+test('rules strategie weigert ongeldige regels bij het laden', () => {
+  const load = (rules) => {
+    const file = path.join(workDir, 'invalid.json');
+    fs.writeFileSync(file, JSON.stringify({ rules }));
+    return () => DecisionEngine.fromConfig(createConfig({}, {}), { strategy: 'rules', rulesFile: file });
+  };
+
+  assert.throws(load([{ name: 'x', when: { field: 'dueDate', op: 'equals', value: 'today' }, then: 'rejected' }]), /onbekende operator "equals"/);
+  assert.throws(load([{ name: 'x', when: { op: 'eq', value: 'a' }, then: 'rejected' }]), /mist "when.field"/);
+  assert.throws(load([{ name: 'x', then: 'rejected' }]), /mist "when"/);
+  assert.throws(load([{ name: 'x', when: { field: 'senderId', op: 'in', value: 'a' }, then: 'rejected' }]), /vereist een lijst/);
+  assert.doesNotThrow(load([{ name: 'x', when: { field: 'dueDate', op: 'missing' }, then: 'rejected' }]));
+});
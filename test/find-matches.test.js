@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InvoiceReportGenerator, createConfig } from '../index.js';
+import { readJsonFixture } from './helpers.js';
+
+const { data: inboundDocs } = readJsonFixture('inbound-documents.json');
+const { data: outboundDocs } = readJsonFixture('outbound-documents.json');
+
+const createGenerator = () => new InvoiceReportGenerator({ config: createConfig() }, { fileWriter: {} });
+
+test('indexByTransmissionId slaat documenten zonder transmissionId over', () => {
+  const index = InvoiceReportGenerator.indexByTransmissionId(outboundDocs);
+
+  assert.deepEqual([...index.keys()], [
+    'a3b7c1d2-1111-4e5f-8a9b-000000000001',
+    'a3b7c1d2-1111-4e5f-8a9b-000000000003',
+  ]);
+  assert.equal(index.get('a3b7c1d2-1111-4e5f-8a9b-000000000001').id, 'c8e2f0b4-7a61-4d2e-b0f3-5d6e7f8a9b01');
+});
+
+test('findMatches koppelt inbound aan outbound op transmissionId', () => {
+  const matches = createGenerator().findMatches(
+    inboundDocs,
+    InvoiceReportGenerator.indexByTransmissionId(outboundDocs)
+  );
+
+  assert.equal(matches.length, 1);
+  assert.deepEqual(
+    matches.map((match) => [match.inbound.id, match.outbound.id, match.transmissionId]),
+    [['6f1c2a9e-0d4b-4c55-9a51-0c3f3b7f1a01', 'c8e2f0b4-7a61-4d2e-b0f3-5d6e7f8a9b01', 'a3b7c1d2-1111-4e5f-8a9b-000000000001']]
+  );
+});
+
+test('findMatches zonder outbound documenten levert niets op', () => {
+  assert.deepEqual(createGenerator().findMatches(inboundDocs, new Map()), []);
+});
+
+// De fixtures vallen binnen de standaard lookback van 6 dagen vanaf dit moment
+const FIXTURE_NOW = new Date('2025-11-30T12:00:00Z');
+
+test('reconcile rapporteert zoekgeraakte, verweesde en ongekoppelde documenten', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: FIXTURE_NOW });
+  const reconciliation = createGenerator().reconcile(inboundDocs, outboundDocs);
+
+  assert.deepEqual(
+    reconciliation.outboundOnly.map((doc) => doc.id),
+    ['c8e2f0b4-7a61-4d2e-b0f3-5d6e7f8a9b03']
+  );
+  assert.deepEqual(
+    reconciliation.inboundOnly.map((doc) => doc.id),
+    ['6f1c2a9e-0d4b-4c55-9a51-0c3f3b7f1a02']
+  );
+  assert.deepEqual(
+    reconciliation.missingTransmissionId.map((doc) => [doc.direction, doc.id]),
+    [
+      ['outbound', 'c8e2f0b4-7a61-4d2e-b0f3-5d6e7f8a9b04'],
+      ['inbound', '6f1c2a9e-0d4b-4c55-9a51-0c3f3b7f1a03'],
+    ]
+  );
+});
+
+test('reconcile negeert inbound documenten van voor de outbound lookback periode', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: FIXTURE_NOW });
+  const old = (doc, createdAt) => ({ ...doc, id: `${doc.id}-oud`, attributes: { ...doc.attributes, createdAt } });
+  const reconciliation = createGenerator().reconcile(
+    [...inboundDocs, old(inboundDocs[1], '2025-11-01T09:00:00.000Z'), old(inboundDocs[2], '2025-11-01T09:00:00.000Z')],
+    outboundDocs
+  );
+
+  assert.deepEqual(
+    reconciliation.inboundOnly.map((doc) => doc.id),
+    ['6f1c2a9e-0d4b-4c55-9a51-0c3f3b7f1a02']
+  );
+  assert.deepEqual(
+    reconciliation.missingTransmissionId.filter((doc) => doc.direction === 'inbound').map((doc) => doc.id),
+    ['6f1c2a9e-0d4b-4c55-9a51-0c3f3b7f1a03']
+  );
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { InvoiceReportGenerator, ReportFileWriter } from '../index.js';
+import { withMockClient, withTempDir } from './helpers.js';
+
+const context = withMockClient({ documents: 3, propagationDelayMs: 20 });
+const { mock } = context;
+const outputDir = withTempDir('peppol-report-');
+
+const runOptions = (options = {}) => ({
+  settings: { verificationTimeout: 1000, verificationInterval: 10, outputDir },
+  fileWriter: new ReportFileWriter(outputDir),
+  sleep: (ms) => new Promise((resolve) => setTimeout(resolve, Math.min(ms, 10))),
+  ...options,
+});
+
+const postedStatuses = () =>
+  mock.state.requests.filter((request) => request.method === 'POST' && request.path.endsWith('/business-statuses'));
+
+test('generateReport in dry-run verstuurt geen statussen', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const summary = await context.client.process(runOptions({ dryRun: true }));
+
+  assert.equal(summary.matches, 3);
+  assert.deepEqual(postedStatuses(), []);
+  assert.ok([...mock.state.statuses.values()].every((statuses) => statuses.length === 0));
+});
+
+test('generateReport doorloopt acknowledged en een final status voor elk gematcht document', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const summary = await context.client.process(runOptions());
+
+  assert.equal(summary.matches, 3);
+  assert.equal(summary.notPropagated, 0);
+  assert.equal(postedStatuses().length, 6);
+
+  for (const statuses of mock.state.statuses.values()) {
+    const codes = statuses.map((status) => status.attributes.code);
+    assert.equal(codes[0], 'acknowledged');
+    assert.ok(['accepted', 'rejected'].includes(codes[1]), `onverwachte final status: ${codes[1]}`);
+  }
+  for (const outbound of mock.state.outbound.values()) {
+    assert.ok(['accepted', 'rejected'].includes(outbound.attributes.businessStatus));
+  }
+
+  assert.equal(summary.reportFiles.length, 1);
+  const report = fs.readFileSync(summary.reportFiles[0], 'utf8');
+  for (const invoiceNumber of ['430100', '430101', '430102']) {
+    assert.match(report, new RegExp(invoiceNumber));
+  }
+});
+
+test('generateReport slaat documenten met een final status over', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const posted = postedStatuses().length;
+  const summary = await context.client.process(runOptions());
+
+  assert.equal(summary.matches, 3);
+  assert.equal(postedStatuses().length, posted);
+});
+
+test('analyze geeft de analyse zonder iets te versturen', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const posted = postedStatuses().length;
+  const analysis = await context.client.analyze(runOptions());
+
+  assert.equal(analysis.length, 3);
+  assert.ok(analysis.every((item) => item.isComplete && !item.needsAcknowledge && !item.needsFinalStatus));
+  assert.equal(postedStatuses().length, posted);
+});
+
+test('generateStatusReport haalt per document één keer de XML op voor console en rapport', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const xmlRequests = () =>
+    mock.state.requests.filter((request) => request.method === 'GET' && /\/inbound-documents\/[^/]+$/.test(request.path));
+  const before = xmlRequests().length;
+  const summary = await context.client.report(runOptions());
+
+  assert.equal(summary.matches, 3);
+  assert.equal(xmlRequests().length - before, 3);
+});
+
+test('InvoiceReportGenerator valt zonder suppliers terug op de geconfigureerde suppliers', () => {
+  const { api } = context.client;
+
+  assert.deepEqual(new InvoiceReportGenerator(api).suppliers, api.config.suppliers);
+  const inboundOnly = { outbound: null, inbound: api.config.suppliers.inbound };
+  assert.equal(new InvoiceReportGenerator(api, { suppliers: inboundOnly }).suppliers, inboundOnly);
+});
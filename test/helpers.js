@@ -0,0 +1,44 @@
+import { before, after } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMockServer } from '../mock-server.js';
+import { createClient } from '../index.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+export const readFixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+
+export const readJsonFixture = (name) => JSON.parse(readFixture(name));
+
+export const status = (code, createdAt, technicalStatus = 'accepted') => ({
+  id: `status-${code}-${createdAt}`,
+  type: 'peppolInboundDocumentBusinessStatus',
+  attributes: { code, technicalStatus, createdAt },
+});
+
+// Tijdelijke map voor het hele testbestand, na afloop opgeruimd
+export function withTempDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Mock server op een vrije poort met een client ertegen; config en client zijn gevuld zodra before() gedraaid heeft
+export function withMockClient(mockOptions = {}, configOverrides = {}) {
+  const context = { mock: createMockServer(mockOptions), baseUrl: null, config: null, client: null };
+
+  before(async () => {
+    context.baseUrl = await context.mock.listen(0);
+    context.config = {
+      api: { baseUrl: context.baseUrl, tokenUrl: `${context.baseUrl}/token`, insecure: true },
+      auth: { clientId: 'test-client', clientSecret: 'test-secret' },
+      ...configOverrides,
+    };
+    context.client = createClient(context.config);
+  });
+  after(() => context.mock.close());
+
+  return context;
+}
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { MOCK_DEFAULTS } from '../mock-server.js';
+import { StatusStore, InvoiceReportGenerator } from '../index.js';
+import { withMockClient, withTempDir } from './helpers.js';
+
+const context = withMockClient({ documents: 3, propagationDelayMs: 0 });
+const { mock } = context;
+const workDir = withTempDir('peppol-incremental-');
+// Zonder default levert de regelset geen beslissing: documenten blijven na acknowledged openstaan
+fs.writeFileSync(path.join(workDir, 'rules.json'), JSON.stringify({ rules: [] }));
+
+test('process op een inbound-only tenant houdt openstaande documenten vast over incrementele runs', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = new StatusStore(path.join(workDir, 'store.jsonl'));
+  const runOptions = {
+    suppliers: { outbound: null, inbound: { id: MOCK_DEFAULTS.inboundSupplierId, name: 'Inbound' } },
+    settings: { outputDir: workDir, cursorOverlapMinutes: 0 },
+    decision: { strategy: 'rules', rulesFile: path.join(workDir, 'rules.json') },
+    store,
+  };
+
+  const runs = [];
+  for (let run = 0; run < 3; run++) {
+    runs.push(await context.client.process(runOptions));
+  }
+
+  assert.deepEqual(runs.map((summary) => summary.matches), [3, 3, 3]);
+  assert.equal(runs[0].acknowledged, 3);
+  assert.equal(store.getDocuments('inbound', MOCK_DEFAULTS.inboundSupplierId).length, 3);
+});
+
+test('refreshDocument legt het outbound document vast en haalt alleen het inbound venster op', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = new StatusStore(path.join(workDir, 'refresh.jsonl'));
+  const generator = new InvoiceReportGenerator(context.client.api, {
+    suppliers: {
+      outbound: { id: MOCK_DEFAULTS.outboundSupplierId, name: 'Outbound' },
+      inbound: { id: MOCK_DEFAULTS.inboundSupplierId, name: 'Inbound' },
+    },
+    settings: { outputDir: workDir },
+    store,
+  });
+  const [outbound] = mock.state.outbound.values();
+  const listed = mock.state.requests.length;
+
+  const reportFiles = await generator.refreshDocument('outbound', outbound.id);
+
+  assert.equal(reportFiles.length, 1);
+  assert.equal(store.getDocuments('outbound', MOCK_DEFAULTS.outboundSupplierId)[0].id, outbound.id);
+  const inboundLists = mock.state.requests
+    .slice(listed)
+    .filter((request) => request.method === 'GET' && request.path === '/peppol/inbound-documents');
+  assert.equal(inboundLists.length, 1);
+  assert.match(inboundLists[0].query, /fromStatusChanged=/);
+});
+
+test('process haalt voor afgeronde documenten de XML niet opnieuw op', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = new StatusStore(path.join(workDir, 'settled.jsonl'));
+  const runOptions = {
+    suppliers: {
+      outbound: { id: MOCK_DEFAULTS.outboundSupplierId, name: 'Outbound' },
+      inbound: { id: MOCK_DEFAULTS.inboundSupplierId, name: 'Inbound' },
+    },
+    settings: { outputDir: workDir, cursorOverlapMinutes: 0, verificationTimeout: 1000, verificationInterval: 10 },
+    sleep: (ms) => new Promise((resolve) => setTimeout(resolve, Math.min(ms, 10))),
+    store,
+  };
+  const xmlRequests = () =>
+    mock.state.requests.filter((request) => request.method === 'GET' && /\/inbound-documents\/[^/]+$/.test(request.path));
+
+  const first = await context.client.process(runOptions);
+  const fetched = xmlRequests().length;
+  const second = await context.client.process(runOptions);
+
+  assert.equal(first.notPropagated, 0);
+  assert.equal(second.matches, 3);
+  assert.equal(xmlRequests().length, fetched);
+  assert.ok(store.getInvoice([...mock.state.inbound.keys()][0]).invoiceNumber.startsWith('4301'));
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { MOCK_DEFAULTS } from '../mock-server.js';
+import { createClient } from '../index.js';
+import { withMockClient } from './helpers.js';
+
+const context = withMockClient({ documents: 5 }, { settings: { pageSize: 2 } });
+const { mock } = context;
+const supplierId = MOCK_DEFAULTS.inboundSupplierId;
+
+// Aantal pagina's dat sinds de vorige aanroep is opgevraagd
+const pageRequests = (() => {
+  let seen = 0;
+  return () => {
+    const pages = mock.state.requests.filter((request) => request.path === '/peppol/inbound-documents');
+    const count = pages.length - seen;
+    seen = pages.length;
+    return { count, pages: pages.slice(-count) };
+  };
+})();
+
+test('paginate volgt links.next tot de laatste pagina', async () => {
+  const { api } = createClient(context.config);
+  pageRequests();
+
+  const documents = await api.fetchInboundDocuments(supplierId);
+  const { count, pages } = pageRequests();
+
+  assert.equal(documents.length, 5);
+  assert.equal(new Set(documents.map((doc) => doc.id)).size, 5);
+  assert.equal(count, 3);
+  assert.ok(pages.every((page) => page.query.includes('page%5Bsize%5D=2')));
+});
+
+test('paginate stopt bij maxItems zonder verdere pagina\'s op te halen', async (t) => {
+  const warning = t.mock.method(console, 'log', () => {});
+  const { api } = createClient(context.config);
+  pageRequests();
+
+  const documents = await api.fetchInboundDocuments(supplierId, null, 3);
+
+  assert.equal(documents.length, 3);
+  assert.equal(pageRequests().count, 2);
+  assert.ok(warning.mock.calls.some(({ arguments: [message] }) => message.includes('Maximum van 3 items')));
+});
+
+test('paginate stopt als links.next naar een al opgehaalde pagina wijst', async (t) => {
+  const warning = t.mock.method(console, 'log', () => {});
+  const httpClient = axios.create();
+  // Een API die op pagina 2 naar zichzelf blijft verwijzen
+  httpClient.interceptors.response.use((response) => {
+    const links = response.data?.links;
+    if (links?.next && links.self?.includes('page%5Bnumber%5D=2')) {
+      links.next = links.self;
+    }
+    return response;
+  });
+  const { api } = createClient(context.config, { httpClient });
+  pageRequests();
+
+  const documents = await api.fetchInboundDocuments(supplierId);
+
+  assert.equal(documents.length, 4);
+  assert.equal(pageRequests().count, 2);
+  assert.ok(warning.mock.calls.some(({ arguments: [message] }) => message.includes('Paginering herhaalt zichzelf')));
+});
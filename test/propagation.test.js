@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ReportFileWriter, StatusStore } from '../index.js';
+import { withMockClient, withTempDir } from './helpers.js';
+
+const context = withMockClient({ documents: 3, propagationDelayMs: 200 });
+const slowContext = withMockClient({ documents: 2, propagationDelayMs: 60000 });
+const outputDir = withTempDir('peppol-propagation-');
+
+test('latency meet de propagatie per document en niet het verificatie-interval', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const summary = await context.client.process({
+    settings: { verificationTimeout: 10000, verificationInterval: 5000, outputDir },
+    fileWriter: new ReportFileWriter(outputDir),
+  });
+
+  assert.equal(summary.notPropagated, 0);
+  assert.equal(summary.latency.count, 6);
+  assert.ok(summary.latency.min >= 200, `min ${summary.latency.min}ms ligt onder de propagatievertraging`);
+  assert.ok(summary.latency.max < 2000, `max ${summary.latency.max}ms volgt het interval in plaats van de propagatie`);
+  assert.ok(summary.latency.resolutionMs > 0 && summary.latency.resolutionMs < 1000);
+});
+
+test('een door shutdown afgebroken verificatie telt niet als niet gepropageerd', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const storeFile = path.join(outputDir, 'aborted.jsonl');
+  const controller = new AbortController();
+  const summary = await slowContext.client.process({
+    settings: { verificationTimeout: 10000, outputDir },
+    fileWriter: new ReportFileWriter(outputDir),
+    store: new StatusStore(storeFile),
+    signal: controller.signal,
+    // Shutdown tijdens de eerste wachtpauze van de verificatie
+    sleep: async () => controller.abort(),
+  });
+
+  assert.equal(summary.aborted, true);
+  assert.equal(summary.acknowledged, 2);
+  assert.equal(summary.notPropagated, 0);
+  const types = fs.readFileSync(storeFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line).type);
+  assert.ok(types.includes('status'));
+  assert.ok(!types.includes('verification'));
+});
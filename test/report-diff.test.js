@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ReportDiff, ReportFormatters } from '../index.js';
+import { readJsonFixture, withTempDir } from './helpers.js';
+
+const REPORTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'reports');
+const workDir = withTempDir('peppol-diff-');
+
+const writeReport = (name, content) => {
+  const file = path.join(workDir, name);
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+// Model met een eenvoudige omschrijving: een meerregelige omschrijving past niet in het tekstrapport
+const reportModel = (overrides = {}) => {
+  const model = { ...readJsonFixture('report-model.json'), ...overrides };
+  model.entries[0].document.description = 'Levering';
+  return model;
+};
+
+test('read leest een bestaand tekstrapport uit reports/', () => {
+  const entries = ReportDiff.read(path.join(REPORTS_DIR, '2025-12-05T01-21-16.txt'));
+
+  assert.deepEqual([...entries.values()], [
+    {
+      invoiceNumber: '459',
+      description: 'test',
+      outboundId: 'd74a86a7-8c13-48cf-8316-b4fbf2149626',
+      outboundTechnicalState: 'accepted',
+      outboundBusinessState: 'accepted',
+      transmissionId: '36b8e4e3-6878-4883-a886-558a4d07d45d',
+      inboundId: '8ee1bf3b-b3a1-46cd-a103-41a28cdfe54f',
+      inboundTechnicalState: 'accepted',
+      inboundBusinessState: 'accepted',
+      actions: 'acknowledged ✅ → accepted 👍',
+    },
+  ]);
+});
+
+test('read slaat het kopblok van een dry-run rapport over en leest hetzelfde als het JSON model', () => {
+  const model = reportModel({ dryRun: true });
+  model.entries[0].actions = {
+    acknowledged: { statusCode: 'acknowledged', dryRun: true },
+    final: { statusCode: 'rejected', dryRun: true, rule: 'standaard' },
+  };
+  const text = ReportDiff.read(writeReport('dry-run.txt', ReportFormatters.text.render(model)));
+  const json = ReportDiff.read(writeReport('dry-run.json', ReportFormatters.json.render(model)));
+
+  assert.deepEqual([...text.keys()], ['in-430001', 'in-430002']);
+  assert.deepEqual(text, json);
+  assert.equal(text.get('in-430001').actions, 'acknowledged (gepland) → rejected (gepland)');
+  assert.equal(text.get('in-430002').outboundId, null);
+  assert.equal(text.get('in-430002').actions, null);
+});
+
+test('read weigert een JSON bestand zonder entries', () => {
+  assert.throws(() => ReportDiff.read(writeReport('leeg.json', '{}')), new Error('JSON rapport bevat geen entries'));
+});
+
+test('compare meldt toegevoegde, verdwenen en gewijzigde documenten', () => {
+  const toMap = (model) => new Map(ReportDiff.fromModel(model).map((entry) => [entry.inboundId, entry]));
+
+  const before = reportModel();
+  before.entries[0].inbound.businessState = 'acknowledged';
+  before.entries[0].actions = {};
+
+  const after = reportModel();
+  after.entries[0].actions = { final: { statusCode: 'accepted', success: true } };
+  const [, unchanged] = after.entries;
+  const added = { ...unchanged, inbound: { ...unchanged.inbound, id: 'in-430003' } };
+  // Ongewijzigd en zonder acties: geen wijziging
+  after.entries = [after.entries[0], unchanged, added];
+  before.entries.push({ ...unchanged, inbound: { ...unchanged.inbound, id: 'in-430000' } });
+
+  const diff = ReportDiff.compare(toMap(before), toMap(after));
+
+  assert.deepEqual(diff.added.map((entry) => entry.inboundId), ['in-430003']);
+  assert.deepEqual(diff.removed.map((entry) => entry.inboundId), ['in-430000']);
+  assert.equal(diff.changed.length, 1);
+  assert.equal(diff.changed[0].entry.inboundId, 'in-430001');
+  assert.deepEqual(diff.changed[0].changes, [{ field: 'inboundBusinessState', from: 'acknowledged', to: 'accepted' }]);
+  assert.equal(diff.changed[0].entry.actions, 'accepted 👍');
+});
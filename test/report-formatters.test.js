@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReportFormatters, parseReportFormats } from '../index.js';
+import { readJsonFixture } from './helpers.js';
+
+const model = readJsonFixture('report-model.json');
+
+test('csv quote velden met komma, aanhalingsteken of regeleinde', () => {
+  const [header, first, second, rest] = ReportFormatters.csv.render(model).split('\r\n');
+
+  assert.equal(header.split(',').length, ReportFormatters.csv.columns.length);
+  assert.equal(
+    first,
+    'Invoice,430001,"Levering ""A"", B | C <b>&</b>\nregel 2",121,EUR,tx-430001,out-430001,accepted,accepted,' +
+      'in-430001,accepted,accepted,acknowledged (ok) -> accepted (ok),"bedrag < 1000, ""klein""",,,,false'
+  );
+  // Zonder outbound en acties blijven de kolommen leeg
+  assert.equal(second, 'Invoice,430002,test,242,EUR,tx-430002,,,,in-430002,-,-,,,,,,false');
+  assert.equal(rest, '');
+});
+
+test('md escapet pipes, vervangt regeleinden en toont lege cellen als "-"', () => {
+  const lines = ReportFormatters.md.render(model).split('\n');
+
+  assert.equal(lines[0], '# Business status rapport (tenant-a)');
+  assert.ok(
+    lines.includes(
+      '| 430001 | Levering "A", B \\| C <b>&</b> regel 2 | out-430001 | accepted | in-430001 | accepted | accepted | ' +
+        'acknowledged ✅ → accepted 👍 | bedrag < 1000, "klein" |'
+    )
+  );
+  assert.ok(lines.includes('| 430002 | test | - | - | in-430002 | - | - | - | - |'));
+  assert.ok(!lines.some((line) => line.startsWith('> **SIMULATIE')));
+  assert.ok(ReportFormatters.md.render({ ...model, dryRun: true }).includes('> **SIMULATIE (dry-run):**'));
+});
+
+test('parseReportFormats ontdubbelt formaten en weigert onbekende', () => {
+  assert.deepEqual(parseReportFormats('JSON, csv,json'), ['json', 'csv']);
+  assert.deepEqual(parseReportFormats(''), ['text']);
+  assert.throws(() => parseReportFormats(['md', 'pdf']), /Onbekend rapportformaat "pdf"/);
+});
+
+test('html escapet tekst en labels en bevat geen externe bronnen', () => {
+  const html = ReportFormatters.html.render({ ...model, label: '<x>' });
+
+  assert.ok(html.includes('<title>Business status rapport (&#60;x&#62;)</title>'));
+  assert.ok(html.includes('Inbound supplier: XYZ &#60;Test&#62; &#38; Co'));
+  assert.ok(html.includes('<td data-sort="Levering &#34;A&#34;, B | C &#60;b&#62;&#38;&#60;/b&#62;\nregel 2">'));
+  assert.ok(!html.includes('<b>&</b>'));
+  assert.ok(html.includes('<span class="state state-ok">accepted</span>'));
+  assert.ok(html.includes('<summary>2 status(sen)</summary>'));
+  assert.doesNotMatch(html, /<(script|link|img)[^>]+(src|href)=/);
+  assert.ok(!html.includes('class="warning"'));
+  assert.ok(ReportFormatters.html.render({ ...model, dryRun: true }).includes('class="warning"'));
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createConfig, loadScenario, ScenarioRunner } from '../index.js';
+import { withMockClient, withTempDir } from './helpers.js';
+
+const { businessStatus } = createConfig({}, {});
+const workDir = withTempDir('peppol-scenario-');
+const context = withMockClient({ documents: 1 });
+
+const writeScenario = (invoices) => {
+  const file = path.join(workDir, 'scenario.json');
+  fs.writeFileSync(file, JSON.stringify({ invoices }));
+  return file;
+};
+
+test('loadScenario klapt facturen uit op count en accepteert bereikbare statussen', () => {
+  const scenario = loadScenario(
+    writeScenario([{ count: 2 }, { expect: 'rejected' }, { expect: 'acknowledged' }]),
+    businessStatus
+  );
+
+  assert.deepEqual(
+    scenario.invoices.map((invoice) => invoice.expect),
+    ['accepted', 'accepted', 'rejected', 'acknowledged']
+  );
+});
+
+test('loadScenario weigert een verwachte status die na acknowledged niet toegestaan is', () => {
+  assert.throws(
+    () => loadScenario(writeScenario([{ expect: 'paid' }]), businessStatus),
+    /verwachte status "paid" is niet bereikbaar na acknowledged/
+  );
+});
+
+test('waitForInbound blijft pollen als één outbound document niet op te halen is', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const scenario = loadScenario(writeScenario([{ count: 2 }]), businessStatus);
+  const runner = new ScenarioRunner(context.client.api, {
+    ...scenario,
+    timeouts: { ...scenario.timeouts, inboundSeconds: 0.2 },
+    pollSeconds: 0.05,
+  });
+  const [outbound] = context.mock.state.outbound.values();
+  const items = [
+    { invoiceNumber: '1', outboundId: 'out-bestaat-niet' },
+    { invoiceNumber: '2', outboundId: outbound.id },
+  ];
+
+  await runner.waitForInbound(items, new Date(outbound.attributes.createdAt));
+
+  assert.equal(items[1].match.outbound.id, outbound.id);
+  assert.deepEqual(
+    runner.results.map(({ invoiceNumber, step, passed }) => ({ invoiceNumber, step, passed })),
+    [
+      { invoiceNumber: '2', step: 'inbound', passed: true },
+      { invoiceNumber: '1', step: 'inbound', passed: false },
+    ]
+  );
+  assert.match(runner.results[1].detail, /laatste fout: Request failed with status code 404/);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CronExpression, createSchedule } from '../src/scheduling.js';
+
+// Cron rekent in lokale tijd, dus verwachtingen ook lokaal opbouwen
+const local = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+const next = (expression, from) => CronExpression.next(CronExpression.parse(expression), from);
+
+test('createSchedule begrenst de jitter tot 10% van het interval', (t) => {
+  t.mock.method(Math, 'random', () => 1);
+  const from = new Date('2025-11-28T10:00:00Z');
+
+  const short = createSchedule({ intervalSeconds: 60, jitterSeconds: 300 });
+  assert.equal(short.nextRun(from).getTime() - from.getTime(), 66 * 1000);
+
+  const long = createSchedule({ intervalSeconds: 3600, jitterSeconds: 30 });
+  assert.equal(long.nextRun(from).getTime() - from.getTime(), 3630 * 1000);
+});
+
+test('CronExpression.parse ondersteunt bereiken, stappen en lijsten', () => {
+  const cron = CronExpression.parse('0,30 9-17 */10 1-12/3 *');
+
+  assert.deepEqual([...cron.minutes], [0, 30]);
+  assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.days], [1, 11, 21, 31]);
+  assert.deepEqual([...cron.months], [1, 4, 7, 10]);
+  assert.deepEqual([...CronExpression.parse('5/20 * * * *').minutes], [5, 25, 45]);
+  assert.equal(cron.daysRestricted, true);
+  assert.equal(cron.weekdaysRestricted, false);
+});
+
+test('CronExpression.parse behandelt weekdag 7 als zondag', () => {
+  assert.deepEqual([...CronExpression.parse('0 0 * * 7').weekdays], [0]);
+  assert.deepEqual([...CronExpression.parse('0 0 * * 5-7').weekdays], [5, 6, 0]);
+});
+
+test('CronExpression.parse weigert ongeldige velden', () => {
+  for (const expression of ['60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8']) {
+    assert.throws(() => CronExpression.parse(expression), /Ongeldig cron veld/, expression);
+  }
+  for (const expression of ['5-1 * * * *', '*/0 * * * *', 'a * * * *']) {
+    assert.throws(() => CronExpression.parse(expression), /Ongeldig cron veld voor minuut/, expression);
+  }
+  assert.throws(() => CronExpression.parse('* * * *'), /moet 5 velden hebben/);
+});
+
+test('CronExpression.next geeft de eerstvolgende minuut na het startmoment', () => {
+  assert.deepEqual(next('*/15 * * * *', local(2025, 6, 2, 10, 7)), local(2025, 6, 2, 10, 15));
+  assert.deepEqual(next('*/15 * * * *', local(2025, 6, 2, 10, 15)), local(2025, 6, 2, 10, 30));
+  assert.deepEqual(next('0 9-17 * * *', local(2025, 6, 2, 17, 30)), local(2025, 6, 3, 9, 0));
+});
+
+test('CronExpression.next matcht dag óf weekdag als beide beperkt zijn', () => {
+  // 10e van de maand of maandag; 1 juni 2025 is een zondag
+  assert.deepEqual(next('0 12 10 * 1', local(2025, 6, 1)), local(2025, 6, 2, 12, 0));
+  assert.deepEqual(next('0 12 10 * 1', local(2025, 6, 2, 12, 0)), local(2025, 6, 9, 12, 0));
+  assert.deepEqual(next('0 12 10 * 1', local(2025, 6, 9, 12, 0)), local(2025, 6, 10, 12, 0));
+  // Alleen weekdag beperkt: de dag van de maand telt niet mee
+  assert.deepEqual(next('0 12 * * 1', local(2025, 6, 2, 12, 0)), local(2025, 6, 9, 12, 0));
+});
+
+test('CronExpression.next loopt door over maand- en jaargrenzen', () => {
+  assert.deepEqual(next('0 0 1 * *', local(2025, 12, 31, 23, 30)), local(2026, 1, 1, 0, 0));
+  // April heeft geen 31e: door naar mei
+  assert.deepEqual(next('0 0 31 * *', local(2025, 4, 1)), local(2025, 5, 31, 0, 0));
+  // Geen 29 februari binnen een jaar
+  assert.throws(() => next('0 0 29 2 *', local(2025, 3, 1)), /binnen een jaar geen volgende run/);
+});
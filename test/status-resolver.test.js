@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StatusResolver } from '../index.js';
+import { readJsonFixture, status } from './helpers.js';
+
+const { data: statuses } = readJsonFixture('business-statuses.json');
+
+test('StatusResolver geeft de meest recente status terug, ongeacht de volgorde', () => {
+  assert.deepEqual(StatusResolver.getLatestStatus(statuses), { code: 'accepted', technicalStatus: 'pending' });
+  assert.deepEqual(StatusResolver.getLatestStatus([...statuses].reverse()), {
+    code: 'accepted',
+    technicalStatus: 'pending',
+  });
+});
+
+test('StatusResolver geeft placeholders zonder statussen of bij ontbrekende velden', () => {
+  assert.deepEqual(StatusResolver.getLatestStatus([]), { code: '-', technicalStatus: '-' });
+  assert.deepEqual(StatusResolver.getLatestStatus([status(null, '2025-11-28T10:00:00Z', null)]), {
+    code: '-',
+    technicalStatus: '-',
+  });
+});
+
+test('StatusResolver zoekt statuscodes op', () => {
+  assert.equal(StatusResolver.hasStatus(statuses, 'acknowledged'), true);
+  assert.equal(StatusResolver.hasStatus(statuses, 'rejected'), false);
+  assert.equal(StatusResolver.hasAnyStatus(statuses, ['rejected', 'accepted']), true);
+  assert.equal(StatusResolver.hasAnyStatus([], ['accepted']), false);
+  assert.deepEqual(StatusResolver.getExistingStatusCodes(statuses), ['acknowledged', 'accepted']);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createConfig, loadTenants } from '../index.js';
+import { buildRunTargets, parseCliArgs } from '../src/cli.js';
+import { withTempDir } from './helpers.js';
+
+const workDir = withTempDir('peppol-tenants-');
+
+const writeTenants = (name, content) => {
+  const file = path.join(workDir, name);
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+};
+
+const tenantsFile = writeTenants('tenants.json', {
+  tenants: [
+    {
+      name: 'ABC naar XYZ',
+      outbound: { id: 'out-1', name: 'ABC' },
+      inbound: { id: 'in-1', name: 'XYZ' },
+      lookbackDays: 6,
+      decision: { strategy: 'random' },
+      outputDir: './reports/abc-xyz',
+    },
+    { name: 'Alleen XYZ inbound', inbound: { id: 'in-2' }, settings: { reportFormats: ['json'] } },
+  ],
+});
+
+const runTargets = (argv) => buildRunTargets(parseCliArgs(argv).options, createConfig({}, {}));
+
+test('loadTenants vult standaardwaarden en een eigen rapportmap per tenant aan', () => {
+  const [abc, xyz] = loadTenants(tenantsFile, 'rapporten');
+
+  assert.deepEqual(abc.suppliers, { outbound: { id: 'out-1', name: 'ABC' }, inbound: { id: 'in-1', name: 'XYZ' } });
+  assert.deepEqual(abc.settings, { lookbackDays: 6, outputDir: './reports/abc-xyz' });
+  assert.deepEqual(abc.decision, { strategy: 'random' });
+
+  assert.equal(xyz.suppliers.outbound, null);
+  assert.deepEqual(xyz.suppliers.inbound, { name: '-', id: 'in-2' });
+  assert.deepEqual(xyz.settings, { reportFormats: ['json'], outputDir: path.join('rapporten', 'alleen-xyz-inbound') });
+});
+
+test('loadTenants weigert een ontbrekend of onvolledig bestand', () => {
+  const missing = path.join(workDir, 'bestaat-niet.json');
+  assert.throws(() => loadTenants(missing, 'rapporten'), new Error(`Tenant configuratie niet gevonden: ${missing}`));
+
+  const empty = writeTenants('leeg.json', { tenants: [] });
+  assert.throws(() => loadTenants(empty, 'rapporten'), new Error(`Geen tenants gedefinieerd in ${empty}`));
+
+  const noInbound = writeTenants('zonder-inbound.json', { tenants: [{ outbound: { id: 'out-1' } }] });
+  assert.throws(() => loadTenants(noInbound, 'rapporten'), new Error(`tenant-1: inbound.id ontbreekt in ${noInbound}`));
+});
+
+test('buildRunTargets zonder tenants bestand geeft één run met de CLI opties', () => {
+  const [target, ...rest] = runTargets(['process', '--dry-run', '--lookback-days', '3']);
+
+  assert.deepEqual(rest, []);
+  assert.equal(target.name, null);
+  assert.equal(target.dryRun, true);
+  assert.deepEqual(target.settings, { lookbackDays: 3 });
+});
+
+test('buildRunTargets geeft elke tenant een eigen submap van --output-dir', () => {
+  const targets = runTargets(['process', '--config', tenantsFile, '--output-dir', 'uit', '--strategy', 'rules', '--dry-run']);
+
+  assert.deepEqual(
+    targets.map((target) => target.settings.outputDir),
+    [path.join('uit', 'abc-naar-xyz'), path.join('uit', 'alleen-xyz-inbound')]
+  );
+  assert.equal(targets[0].settings.lookbackDays, 6);
+  assert.deepEqual(targets[1].settings.reportFormats, ['json']);
+  assert.deepEqual(targets[0].decision, { strategy: 'rules' });
+  assert.ok(targets.every((target) => target.dryRun));
+});
+
+test('buildRunTargets behoudt de rapportmap van de tenant zonder --output-dir', () => {
+  const [abc] = runTargets(['process', '--config', tenantsFile]);
+
+  assert.equal(abc.settings.outputDir, './reports/abc-xyz');
+});
+
+test('buildRunTargets weigert supplier opties samen met --config', () => {
+  assert.throws(
+    () => runTargets(['process', '--config', tenantsFile, '--inbound-supplier', 'in-9']),
+    /kunnen niet samen met --config gebruikt worden/
+  );
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createConfig, TestInvoiceSender } from '../index.js';
+import { escapeXml } from '../src/test-invoice-sender.js';
+import { withTempDir } from './helpers.js';
+
+const workDir = withTempDir('peppol-sender-');
+
+const createSender = (send = {}, store = null) => {
+  const config = createConfig(
+    {
+      send: {
+        seller: { endpoint: '0106:12345678', vatNumber: 'NL123456789B01' },
+        buyer: { endpoint: '0106:87654321' },
+        ...send,
+      },
+    },
+    {}
+  );
+  return new TestInvoiceSender({ config }, { store, supplier: { id: 'supplier-1' } });
+};
+
+test('escapeXml escapet alle XML tekens', () => {
+  assert.equal(escapeXml(`<a href="x">R&D's</a>`), '&lt;a href=&quot;x&quot;&gt;R&amp;D&apos;s&lt;/a&gt;');
+  assert.equal(escapeXml(null), '');
+});
+
+test('send escapet waarden in de factuur en leest ze ongewijzigd terug', async () => {
+  const sender = createSender();
+  const result = await sender.send({ invoiceNumber: '430001', note: 'Levering <R&D>', dryRun: true });
+
+  assert.match(result.xml, /<cbc:Note>Levering &lt;R&amp;D&gt;<\/cbc:Note>/);
+  assert.match(result.xml, /<cbc:CompanyID>NL123456789B01<\/cbc:CompanyID>/);
+  assert.equal(result.details.description, 'Levering <R&D>');
+  assert.equal(result.documentId, null);
+});
+
+test('render weigert een onbekende placeholder in de template', () => {
+  const templateFile = path.join(workDir, 'unknown.xml');
+  fs.writeFileSync(templateFile, '<Invoice><cbc:ID>{{invoiceNumber}}</cbc:ID>{{onbekend}}</Invoice>');
+  const sender = createSender({ templateFile });
+
+  assert.throws(
+    () => sender.render(sender.buildValues({ invoiceNumber: '430001' })),
+    new Error(`Onbekende placeholder {{onbekend}} in ${templateFile}`)
+  );
+});
+
+test('buildValues vereist een BTW nummer van de verkoper', () => {
+  const sender = createSender({ seller: { endpoint: '0106:12345678', vatNumber: null } });
+
+  assert.throws(() => sender.buildValues({ invoiceNumber: '430001' }), /BTW nummer van verkoper ontbreekt/);
+});
+
+test('nextInvoiceNumber telt door vanaf de laatst verstuurde factuur', () => {
+  assert.equal(createSender().nextInvoiceNumber(), '430000');
+  assert.equal(createSender({}, { getLastSentInvoiceNumber: () => null }).nextInvoiceNumber(), '430000');
+  assert.equal(createSender({}, { getLastSentInvoiceNumber: () => 430005 }).nextInvoiceNumber(), '430006');
+  assert.equal(createSender({ firstInvoiceNumber: 500 }).nextInvoiceNumber(), '500');
+});
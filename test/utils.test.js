@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sleep } from '../src/utils.js';
+
+test('sleep stopt direct bij een abort tijdens het wachten', async () => {
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  setTimeout(() => controller.abort(), 10);
+
+  await sleep(5000, controller.signal);
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('sleep wacht niet als het signal al afgebroken is', async () => {
+  const startedAt = Date.now();
+
+  await sleep(5000, AbortSignal.abort());
+  assert.ok(Date.now() - startedAt < 1000);
+});
@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createConfig, WebhookServer } from '../index.js';
+import { readJsonFixture } from './helpers.js';
+
+const SECRET = 'webhook-secret';
+
+const settings = { ...createConfig({}, {}).webhook, secret: SECRET, maxBodySize: 4096 };
+const events = [];
+let failNext = false;
+const server = new WebhookServer(async (event) => {
+  if (failNext) {
+    failNext = false;
+    throw new Error('refresh mislukt');
+  }
+  events.push(event);
+}, settings);
+let url;
+
+before(async () => {
+  const { port } = await server.listen(0);
+  url = `http://localhost:${port}${settings.path}`;
+});
+
+after(() => server.close());
+
+const sample = (id = crypto.randomUUID()) => {
+  const payload = readJsonFixture('webhook-business-status.json');
+  payload.data.id = id;
+  return JSON.stringify(payload);
+};
+
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const post = async (body, signature = sign(body)) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(signature && { [settings.signatureHeader]: signature }) },
+    body,
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('een ondertekend voorbeeld-event wordt geaccepteerd en verwerkt', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const body = sample();
+  const { status, body: response } = await post(body);
+  await server.queue;
+
+  assert.equal(status, 202);
+  assert.equal(response.status, 'accepted');
+  assert.deepEqual(events.at(-1), {
+    id: JSON.parse(body).data.id,
+    type: 'eInvoicing.outbound.document.business.status.new',
+    createdAt: '2025-11-27T14:44:23.667043526Z',
+    supplierId: 'ef111c85-4315-4cde-bed9-efd29f25e19c',
+    documentId: 'dceaea68-371f-40ad-9e3f-3ad9952a9c28',
+    documentType: 'peppolInvoice',
+    direction: 'outbound',
+  });
+});
+
+test('een event zonder of met een verkeerde handtekening wordt geweigerd', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const body = sample();
+  const processed = events.length;
+
+  assert.equal((await post(body, null)).status, 401);
+  assert.equal((await post(body, sign(body, 'ander-geheim'))).status, 401);
+  assert.equal((await post(body, sign(`${body} `))).status, 401);
+  // Zelfde aantal tekens als een geldige handtekening, maar meer bytes
+  assert.equal((await post(body, `sha256=${'é'.repeat(64)}`)).status, 401);
+  await server.queue;
+  assert.equal(events.length, processed);
+});
+
+test('een herbezorgd event wordt als duplicaat overgeslagen', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const body = sample();
+  const processed = events.length;
+
+  assert.equal((await post(body)).status, 202);
+  const duplicate = await post(body);
+  await server.queue;
+
+  assert.equal(duplicate.status, 200);
+  assert.equal(duplicate.body.status, 'duplicate');
+  assert.equal(events.length, processed + 1);
+});
+
+test('een herbezorging na een mislukte verwerking wordt opnieuw verwerkt', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const body = sample();
+  const processed = events.length;
+  failNext = true;
+
+  assert.equal((await post(body)).status, 202);
+  await server.queue;
+  assert.equal(events.length, processed);
+
+  assert.equal((await post(body)).status, 202);
+  await server.queue;
+  assert.equal(events.length, processed + 1);
+});
+
+test('een payload zonder verplichte velden geeft 422 met de ontbrekende velden', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const payload = JSON.parse(sample());
+  delete payload.data.relationships.document;
+  delete payload.data.attributes.createdAt;
+  const { status, body } = await post(JSON.stringify(payload));
+
+  assert.equal(status, 422);
+  assert.deepEqual(body.details, ['data.attributes.createdAt ontbreekt', 'data.relationships.document ontbreekt']);
+});
+
+test('een te grote body krijgt een 413 in plaats van een verbroken verbinding', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const body = JSON.stringify({ data: { padding: 'x'.repeat(200 * 1024) } });
+  const { status, body: response } = await post(body);
+
+  assert.equal(status, 413);
+  assert.equal(response.error, 'Payload te groot');
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { XmlParser } from '../index.js';
+import { readFixture } from './helpers.js';
+
+test('XmlParser leest de kerngegevens van een BIS 3.0 factuur', () => {
+  const details = XmlParser.parseInvoiceDetails(readFixture('invoice.xml'));
+
+  assert.equal(details.documentType, 'Invoice');
+  assert.equal(details.isCreditNote, false);
+  assert.equal(details.invoiceNumber, '430121');
+  assert.equal(details.description, 'Test 430121');
+  assert.equal(details.issueDate.toISOString().slice(0, 10), '2025-11-28');
+  assert.equal(details.dueDate.toISOString().slice(0, 10), '2025-12-28');
+  assert.equal(details.currency, 'EUR');
+  assert.equal(details.payableAmount, 302.5);
+  assert.equal(details.buyerReference, '034946');
+  assert.equal(details.orderReference, 'PO-2025-0117');
+  assert.equal(details.senderId, '0106:00000001');
+  assert.equal(details.billingReference, null);
+});
+
+test('XmlParser leest regels en totalen van een factuur', () => {
+  const { document } = XmlParser.parseInvoiceDetails(readFixture('invoice.xml'));
+
+  assert.equal(document.lines.length, 2);
+  assert.deepEqual(document.totals.payable, { value: 302.5, currency: 'EUR' });
+  assert.deepEqual(document.totals.taxExclusive, { value: 250, currency: 'EUR' });
+});
+
+test('XmlParser pakt een creditnota uit een SBDH envelop uit', () => {
+  const details = XmlParser.parseInvoiceDetails(readFixture('credit-note-sbdh.xml'));
+
+  assert.equal(details.documentType, 'CreditNote');
+  assert.equal(details.isCreditNote, true);
+  assert.equal(details.invoiceNumber, 'CN-430121');
+  assert.equal(details.billingReference, '430121');
+  assert.equal(details.dueDate, null);
+  // Creditnota's tellen negatief mee in de totalen
+  assert.equal(details.payableAmount, -121);
+  assert.equal(details.document.lines.length, 1);
+});
+
+test('XmlParser leest partijen met endpoint, btw-nummer en land', () => {
+  const { supplier, customer } = XmlParser.parseDocument(readFixture('invoice.xml'));
+
+  assert.deepEqual(supplier, {
+    name: 'ABC Test Peppol B.V.',
+    endpointId: { scheme: '0106', value: '00000001' },
+    vatId: 'NL000000001B01',
+    legalId: '00000001',
+    country: 'NL',
+  });
+  assert.equal(customer.name, 'XYZ Test Peppol B.V.');
+  assert.equal(customer.vatId, null);
+});
+
+test('XmlParser herkent het documenttype en weigert XML zonder UBL document', () => {
+  assert.equal(XmlParser.detectDocumentType(readFixture('invoice.xml')), 'Invoice');
+  assert.equal(XmlParser.detectDocumentType(readFixture('credit-note-sbdh.xml')), 'CreditNote');
+  assert.equal(XmlParser.detectDocumentType('<Order xmlns="urn:example"/>'), null);
+  assert.throws(() => XmlParser.parseDocument('<Order xmlns="urn:example"/>'), /Geen UBL Invoice of CreditNote/);
+});